@@ -0,0 +1,11 @@
+/**
+ * Configuration entry point
+ * Reads .env into the environment and exposes the shared ConfigManager for config.json
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const ConfigManager = require('./src/managers/ConfigManager');
+
+module.exports = new ConfigManager(path.join(__dirname, 'config.json'));
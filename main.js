@@ -5,18 +5,40 @@
  * This file handles initialization and core bot functionality
  */
 
-const { createClient } = require('minecraft-protocol');
+const mineflayer = require('mineflayer');
 const { performance } = require('perf_hooks');
 const chalk = require('chalk');
-const config = require('./config');
+const configManager = require('./config');
 const MiningBot = require('./src/bot/MiningBot');
 const CommandHandler = require('./src/handlers/CommandHandler');
+const ConsoleHandler = require('./src/handlers/ConsoleHandler');
+const ApiServer = require('./src/api/ApiServer');
+const Dashboard = require('./src/api/Dashboard');
+const Metrics = require('./src/api/Metrics');
 const EventManager = require('./src/managers/EventManager');
 const Logger = require('./src/utils/Logger');
 
 // Initialize logger
 const logger = new Logger('Main');
 
+// Operator console, created once stdin is a terminal and the bot is up
+let operatorConsole = null;
+
+// HTTP control API and its web dashboard, created on the first connect when api.enabled is set
+let apiServer = null;
+let dashboard = null;
+let metrics = null;
+
+// Load defaults, config.json and environment overrides
+let config;
+try {
+  config = configManager.load();
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+Logger.setLevel(config.logging.log_level);
+
 // Global error handlers
 process.on('unhandledRejection', (reason, promise) => {
   logger.error(`Unhandled Rejection at: ${promise}, reason: ${reason}`);
@@ -36,11 +58,6 @@ async function initializeBot() {
     logger.info('Starting Minecraft Auto Miner Bot...');
     logger.info(`Version: ${require('./package.json').version}`);
     
-    // Validate configuration
-    if (!config.bot.username || !config.server.host) {
-      throw new Error('Missing required configuration. Please check config.js');
-    }
-
     logger.info(`Connecting to server: ${config.server.host}:${config.server.port}`);
     logger.info(`Bot username: ${config.bot.username}`);
 
@@ -48,7 +65,7 @@ async function initializeBot() {
     const eventManager = new EventManager();
 
     // Create bot instance
-    const bot = createClient({
+    const bot = mineflayer.createBot({
       host: config.server.host,
       port: config.server.port,
       username: config.bot.username,
@@ -59,6 +76,7 @@ async function initializeBot() {
 
     // Initialize mining bot wrapper
     const miningBot = new MiningBot(bot, config, eventManager);
+    await miningBot.init();
 
     // Initialize command handler
     const commandHandler = new CommandHandler(miningBot, eventManager);
@@ -82,7 +100,7 @@ function setupBotEvents(bot, miningBot, commandHandler, eventManager) {
   // Connection events
   bot.on('login', () => {
     logger.success('Bot logged in successfully');
-    logger.info(`Dimension: ${bot.dimension}`);
+    logger.info(`Dimension: ${bot.game.dimension}`);
     eventManager.emit('bot:login', { bot });
   });
 
@@ -99,15 +117,18 @@ function setupBotEvents(bot, miningBot, commandHandler, eventManager) {
 
   bot.on('end', () => {
     logger.warn('Bot disconnected from server');
+    miningBot.suspend();
     eventManager.emit('bot:disconnect', { bot });
     
     // Attempt to reconnect if configured
     if (config.bot.autoReconnect) {
       logger.info(`Attempting to reconnect in ${config.bot.reconnectDelay}ms...`);
       setTimeout(() => {
-        initializeBot().catch(error => {
-          logger.error(`Reconnection failed: ${error.message}`);
-        });
+        initializeBot()
+          .then(exposeInstance)
+          .catch(error => {
+            logger.error(`Reconnection failed: ${error.message}`);
+          });
       }, config.bot.reconnectDelay);
     }
   });
@@ -132,6 +153,18 @@ function setupBotEvents(bot, miningBot, commandHandler, eventManager) {
     }
   });
 
+  // Commands can also be whispered, which keeps them out of public chat
+  bot.on('whisper', (username, message) => {
+    if (username === bot.username) return;
+
+    logger.info(`[${username} whispers] ${message}`);
+    if (message.startsWith(config.bot.commandPrefix)) {
+      const args = message.slice(config.bot.commandPrefix.length).split(' ');
+      const command = args.shift().toLowerCase();
+      commandHandler.handle(username, command, args);
+    }
+  });
+
   // Mining events
   bot.on('diggingCompleted', (block) => {
     logger.debug(`Block mined at ${block.position}`);
@@ -177,6 +210,74 @@ function setupBotEvents(bot, miningBot, commandHandler, eventManager) {
   });
 }
 
+/**
+ * Reload the mining configuration whenever config.json changes
+ */
+function watchConfig() {
+  // A throw here makes the ConfigManager restore the previous sections and emit 'invalid'
+  configManager.on('reload', ({ ignored }) => {
+    if (global.miningBot) {
+      global.miningBot.applyConfig();
+    }
+    logger.info('Mining configuration reloaded');
+    if (ignored.length > 0) {
+      logger.warn(`Changes to ${ignored.join(', ')} take effect after a restart`);
+    }
+  });
+
+  configManager.on('invalid', (error) => {
+    logger.error(`Config reload rejected, keeping the current configuration: ${error.message}`);
+
+    // Undo anything a failed applyConfig managed to set before it threw
+    if (global.miningBot) {
+      try {
+        global.miningBot.applyConfig();
+      } catch (applyError) {
+        logger.error(`Could not re-apply the current configuration: ${applyError.message}`);
+      }
+    }
+  });
+
+  configManager.watch();
+}
+
+/**
+ * Point the globals and control surfaces at a freshly connected bot
+ */
+function exposeInstance({ bot, miningBot, commandHandler, eventManager }) {
+  // Export for REPL access if needed
+  global.bot = bot;
+  global.miningBot = miningBot;
+  global.commandHandler = commandHandler;
+  global.eventManager = eventManager;
+  global.logger = logger;
+
+  if (apiServer) {
+    apiServer.attach(miningBot, eventManager);
+    if (dashboard) dashboard.attach(miningBot, eventManager);
+    if (metrics) metrics.attach(miningBot, eventManager);
+  } else if (config.api.enabled) {
+    apiServer = new ApiServer(miningBot, eventManager, config.api);
+    if (config.api.dashboard) {
+      dashboard = new Dashboard(apiServer, miningBot, eventManager);
+    }
+    if (config.api.metrics) {
+      metrics = new Metrics(apiServer, miningBot, eventManager);
+      metrics.start();
+    }
+    apiServer.start().then(listening => {
+      if (listening && dashboard) dashboard.start();
+    });
+  }
+
+  if (operatorConsole) {
+    operatorConsole.attach(commandHandler);
+  } else if (process.stdin.isTTY) {
+    operatorConsole = new ConsoleHandler(commandHandler, { onExit: shutdown });
+    operatorConsole.start();
+  }
+}
+
 /**
  * Start the bot application
  */
@@ -189,12 +290,8 @@ async function start() {
     logger.success(`Bot startup completed in ${(performance.now() - startTime).toFixed(2)}ms`);
     logger.info('Bot is ready and running');
 
-    // Export for REPL access if needed
-    global.bot = bot;
-    global.miningBot = miningBot;
-    global.commandHandler = commandHandler;
-    global.eventManager = eventManager;
-    global.logger = logger;
+    exposeInstance({ bot, miningBot, commandHandler, eventManager });
+    watchConfig();
 
     return { bot, miningBot, commandHandler, eventManager };
 
@@ -212,8 +309,27 @@ async function shutdown() {
   logger.warn('Shutting down bot...');
   
   try {
+    configManager.unwatch();
+
+    if (operatorConsole) {
+      operatorConsole.stop();
+    }
+
+    if (dashboard) {
+      dashboard.stop();
+    }
+
+    if (metrics) {
+      metrics.stop();
+    }
+
+    if (apiServer) {
+      await apiServer.stop();
+    }
+
     if (global.miningBot) {
-      global.miningBot.stopMining();
+      // Keep the job resumable on the next start
+      global.miningBot.suspend();
     }
     
     if (global.bot && global.bot.end) {
@@ -0,0 +1,323 @@
+/**
+ * Combat Module - Responds to hostile mobs near the bot
+ * Each mob type maps to a behaviour: fight with the best weapon, back away
+ * from fusing creepers, block with a shield, flee, or ignore
+ */
+
+const BEHAVIOURS = ['fight', 'avoid', 'shield', 'flee', 'ignore'];
+
+const DEFAULT_BEHAVIOURS = {
+  creeper: 'avoid',
+  skeleton: 'shield',
+  stray: 'shield',
+  pillager: 'shield',
+  enderman: 'ignore',
+  default: 'fight'
+};
+
+// Settings a configure call falls back to when the config leaves them out
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  threatRadius: 8, // blocks
+  fleeCount: 3 // this many threats at once means outnumbered
+};
+
+// Melee damage per hit (Java Edition)
+const WEAPON_DAMAGE = {
+  netherite_sword: 8,
+  diamond_sword: 7,
+  netherite_axe: 10,
+  diamond_axe: 9,
+  iron_sword: 6,
+  iron_axe: 9,
+  stone_sword: 5,
+  stone_axe: 9,
+  golden_sword: 4,
+  wooden_sword: 4,
+  golden_axe: 7,
+  wooden_axe: 7
+};
+
+// Axes hit harder but recover slower, so swords win at similar damage
+const ATTACK_COOLDOWN = {
+  sword: 625,
+  axe: 1000,
+  hand: 250
+};
+
+class ThreatResponder {
+  constructor(bot, { safety, navigation }) {
+    this.bot = bot;
+    this.safety = safety;
+    this.navigation = navigation;
+    this.enabled = DEFAULT_SETTINGS.enabled;
+    this.behaviours = { ...DEFAULT_BEHAVIOURS };
+    this.threatRadius = DEFAULT_SETTINGS.threatRadius;
+    this.attackReach = 3;
+    this.fleeCount = DEFAULT_SETTINGS.fleeCount;
+    this.fleeDistance = 16;
+    this.creeperBackoff = 6; // blocks to keep from a fusing creeper
+    this.lastAttack = 0;
+    this.shieldRaised = false;
+    this.state = 'clear';
+  }
+
+  /**
+   * Apply combat settings on top of the defaults, so a setting left out goes back to its default
+   * @param {Object} settings - {enabled, behaviours, threatRadius, fleeCount}
+   */
+  configure(settings = {}) {
+    const behaviours = settings.behaviours || {};
+    for (const [mob, behaviour] of Object.entries(behaviours)) {
+      if (!BEHAVIOURS.includes(behaviour)) {
+        throw new Error(`Invalid behaviour for ${mob}: ${behaviour} (expected ${BEHAVIOURS.join(', ')})`);
+      }
+    }
+
+    const setting = key => (settings[key] !== undefined ? settings[key] : DEFAULT_SETTINGS[key]);
+    this.behaviours = { ...DEFAULT_BEHAVIOURS, ...behaviours };
+    this.enabled = setting('enabled');
+    this.threatRadius = setting('threatRadius');
+    this.fleeCount = setting('fleeCount');
+  }
+
+  /**
+   * Get the behaviour configured for a mob type
+   * @param {string} mobName - Entity name
+   * @returns {string} Behaviour name
+   */
+  getBehaviour(mobName) {
+    return this.behaviours[mobName] || this.behaviours.default;
+  }
+
+  /**
+   * Get hostile mobs in range that are not ignored, nearest first
+   * @returns {Array} Hostile mobs {name, position, distance, entity}
+   */
+  getThreats() {
+    return this.safety.detectNearbyMobs().hostile
+      .filter(mob => mob.distance <= this.threatRadius && this.getBehaviour(mob.name) !== 'ignore')
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * React to the current threats once; call repeatedly until it returns 'clear'
+   * @returns {Promise<string>} 'clear', 'fighting', 'avoiding', 'shielding' or 'fleeing'
+   */
+  async respond() {
+    const threats = this.getThreats();
+
+    if (threats.length === 0) {
+      this._lowerShield();
+      this.state = 'clear';
+      return this.state;
+    }
+
+    try {
+      if (threats.length >= this.fleeCount) {
+        await this.flee(threats);
+        return this.state;
+      }
+
+      const target = threats[0];
+      switch (this.getBehaviour(target.name)) {
+        case 'avoid':
+          await this.avoid(target);
+          break;
+        case 'shield':
+          await this.shield(target);
+          break;
+        case 'flee':
+          await this.flee(threats);
+          break;
+        default:
+          await this.fight(target);
+      }
+    } catch (error) {
+      console.error(`[Combat] Response failed: ${error.message}`);
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Close in on a mob and hit it with the best weapon
+   * @param {Object} target - Threat from getThreats
+   */
+  async fight(target) {
+    this.state = 'fighting';
+    this._lowerShield();
+
+    const weapon = await this.equipBestWeapon();
+    const distance = this.bot.entity.position.distanceTo(target.entity.position);
+
+    if (distance > this.attackReach) {
+      await this.navigation.goTo(target.entity.position.floored(), { tolerance: 2, timeout: 3000 });
+      return;
+    }
+
+    const cooldown = ATTACK_COOLDOWN[this._weaponKind(weapon)];
+    if (Date.now() - this.lastAttack < cooldown) return;
+
+    await this.bot.lookAt(target.entity.position.offset(0, target.entity.height || 1.6, 0));
+    this.bot.attack(target.entity);
+    this.lastAttack = Date.now();
+    console.log(`[Combat] Attacked ${target.name} with ${weapon ? weapon.name : 'bare hand'}`);
+  }
+
+  /**
+   * Back away from a creeper while it is fusing, otherwise treat it as a melee mob
+   * @param {Object} target - Threat from getThreats
+   */
+  async avoid(target) {
+    if (!this.isFusing(target.entity)) {
+      await this.fight(target);
+      return;
+    }
+
+    this.state = 'avoiding';
+    this._lowerShield();
+    console.warn(`[Combat] ${target.name} is fusing, backing away`);
+
+    const retreat = this._awayFrom(target.entity.position, this.creeperBackoff);
+    await this.navigation.goTo(retreat, { tolerance: 2, timeout: 3000 });
+  }
+
+  /**
+   * Raise a shield towards a ranged mob, fighting it if it comes close
+   * @param {Object} target - Threat from getThreats
+   */
+  async shield(target) {
+    const shield = this.bot.inventory.items().find(item => item.name === 'shield');
+    if (!shield) {
+      await this.fight(target);
+      return;
+    }
+
+    if (target.distance <= this.attackReach) {
+      await this.fight(target);
+      return;
+    }
+
+    this.state = 'shielding';
+    const offHand = this.bot.inventory.slots[this.bot.getEquipmentDestSlot('off-hand')];
+    if (!offHand || offHand.name !== 'shield') {
+      await this.bot.equip(shield, 'off-hand');
+    }
+
+    await this.bot.lookAt(target.entity.position.offset(0, target.entity.height || 1.6, 0));
+    if (!this.shieldRaised) {
+      this.bot.activateItem(true);
+      this.shieldRaised = true;
+      console.log(`[Combat] Shield raised against ${target.name}`);
+    }
+  }
+
+  /**
+   * Run away from a group of mobs
+   * @param {Array} threats - Threats from getThreats
+   */
+  async flee(threats) {
+    this.state = 'fleeing';
+    this._lowerShield();
+    console.warn(`[Combat] Outnumbered by ${threats.length} mobs, fleeing`);
+
+    // Away from the centre of the group
+    const centre = threats
+      .reduce((sum, mob) => sum.plus(mob.entity.position), this.bot.entity.position.scaled(0))
+      .scaled(1 / threats.length);
+    const target = this._awayFrom(centre, this.fleeDistance);
+
+    await this.navigation.goTo(target, { avoidLava: true, tolerance: 3, timeout: 10000 });
+  }
+
+  /**
+   * Check if a creeper has started its fuse
+   * @param {Object} entity - Creeper entity
+   * @returns {boolean} True if it is about to explode
+   */
+  isFusing(entity) {
+    const creeper = this.bot.registry.entitiesByName.creeper;
+    const index = creeper && creeper.metadataKeys ? creeper.metadataKeys.indexOf('swell_dir') : -1;
+
+    if (index >= 0 && entity.metadata && entity.metadata[index] !== undefined) {
+      return entity.metadata[index] > 0;
+    }
+
+    // Without metadata, assume the fuse starts in its trigger range
+    return this.bot.entity.position.distanceTo(entity.position) < 3;
+  }
+
+  /**
+   * Equip the highest damage weapon in the inventory
+   * @returns {Promise<Object|null>} Weapon item, or null for bare hand
+   */
+  async equipBestWeapon() {
+    const weapon = this.bot.inventory.items()
+      .filter(item => WEAPON_DAMAGE[item.name])
+      .sort((a, b) => this._weaponScore(b) - this._weaponScore(a))[0] || null;
+
+    const held = this.bot.heldItem;
+    if (weapon && (!held || held.slot !== weapon.slot)) {
+      await this.bot.equip(weapon, 'hand');
+    }
+    return weapon;
+  }
+
+  /**
+   * Get combat status
+   * @returns {Object} Current combat state and settings
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      state: this.state,
+      threats: this.getThreats().map(({ name, distance }) => ({ name, distance })),
+      behaviours: this.behaviours
+    };
+  }
+
+  /**
+   * Damage per second, so fast swords are preferred over slow axes
+   * @private
+   */
+  _weaponScore(item) {
+    return WEAPON_DAMAGE[item.name] * 1000 / ATTACK_COOLDOWN[this._weaponKind(item)];
+  }
+
+  /**
+   * Weapon kind for cooldowns
+   * @private
+   */
+  _weaponKind(item) {
+    if (!item) return 'hand';
+    return item.name.endsWith('_axe') ? 'axe' : 'sword';
+  }
+
+  /**
+   * Point a given horizontal distance from the bot, directly away from a position
+   * @private
+   */
+  _awayFrom(origin, distance) {
+    const position = this.bot.entity.position;
+    const away = position.minus(origin);
+    const length = Math.sqrt(away.x * away.x + away.z * away.z) || 1;
+
+    return position.offset((away.x / length) * distance, 0, (away.z / length) * distance).floored();
+  }
+
+  /**
+   * Stop blocking with the shield
+   * @private
+   */
+  _lowerShield() {
+    if (!this.shieldRaised) return;
+    this.bot.deactivateItem();
+    this.shieldRaised = false;
+  }
+}
+
+// Accepted behaviour names, for config validation
+ThreatResponder.BEHAVIOURS = BEHAVIOURS;
+
+module.exports = ThreatResponder;
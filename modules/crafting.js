@@ -0,0 +1,346 @@
+/**
+ * Crafting Module - Recipe-driven crafting of tools, torches and storage
+ * Uses the server registry's recipes, the 2x2 inventory grid and, when a
+ * recipe needs one, a nearby or freshly placed crafting table
+ */
+
+const Vec3 = require('vec3');
+
+// Pickaxes tried when restocking, best first, with the material that must be on hand
+const PICKAXE_UPGRADES = [
+  { name: 'iron_pickaxe', material: 'iron_ingot' },
+  { name: 'stone_pickaxe', material: null },
+  { name: 'wooden_pickaxe', material: null }
+];
+
+class CraftingManager {
+  constructor(bot, { inventory, navigation }) {
+    this.bot = bot;
+    this.inventory = inventory;
+    this.navigation = navigation;
+    this.autoCraft = true;
+    this.minPickaxes = 1;
+    this.minTorches = 16;
+    this.tableSearchRadius = 16;
+    this.maxDepth = 3; // ingredient levels, e.g. pickaxe -> stick -> planks
+    this.retryCooldown = 60000; // ms after a restock that could not craft anything
+    this.lastFailedRestock = 0;
+    this.busy = false;
+  }
+
+  /**
+   * Apply crafting settings
+   * @param {Object} settings - {autoCraft, minPickaxes, minTorches}
+   */
+  configure(settings = {}) {
+    if (settings.autoCraft !== undefined) this.autoCraft = settings.autoCraft;
+    if (settings.minPickaxes !== undefined) this.minPickaxes = settings.minPickaxes;
+    if (settings.minTorches !== undefined) this.minTorches = settings.minTorches;
+  }
+
+  /**
+   * Craft an item once from what is already in the inventory
+   * @param {string} itemName - Item to craft
+   * @param {number} count - Minimum number of items wanted
+   * @returns {Promise<boolean>} True if the craft succeeded
+   */
+  async craft(itemName, count = 1) {
+    const item = this.bot.registry.itemsByName[itemName];
+    if (!item) {
+      throw new Error(`Unknown item: ${itemName}`);
+    }
+
+    let table = null;
+    let recipe = this.bot.recipesFor(item.id, null, count, null)[0];
+
+    // Only look for a table when the item has no 2x2 recipe at all
+    if (!recipe && this.bot.recipesAll(item.id, null, null).length === 0) {
+      if (this.bot.recipesFor(item.id, null, count, true).length === 0) return false;
+
+      table = await this.getCraftingTable();
+      if (!table) {
+        console.log(`[Crafting] No crafting table available for ${itemName}`);
+        return false;
+      }
+      recipe = this.bot.recipesFor(item.id, null, count, table)[0];
+    }
+
+    if (!recipe) return false;
+
+    const times = Math.ceil(count / recipe.result.count);
+    await this.bot.craft(recipe, times, table);
+    console.log(`[Crafting] Crafted ${times * recipe.result.count} ${itemName}`);
+    return true;
+  }
+
+  /**
+   * Make sure the inventory holds at least count of an item, crafting ingredients as needed
+   * The whole recipe tree is planned before anything is crafted
+   * @param {string} itemName - Item wanted
+   * @param {number} count - Amount wanted
+   * @returns {Promise<boolean>} True if the inventory now holds enough
+   */
+  async ensureItem(itemName, count = 1) {
+    const missing = count - this.inventory.getItemCount(itemName);
+    if (missing <= 0) return true;
+
+    if (await this.craft(itemName, missing)) return true;
+
+    const steps = this._planCrafts(itemName, count);
+    if (!steps) return false;
+
+    for (const step of steps) {
+      if (!(await this.craft(step.itemName, step.count))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find a crafting table nearby, placing one if there is none
+   * @returns {Promise<Object|null>} Crafting table block within reach, or null
+   */
+  async getCraftingTable() {
+    let table = this._findCraftingTable();
+
+    if (!table) {
+      table = await this.placeCraftingTable();
+      if (!table) return null;
+    }
+
+    if (this.bot.entity.position.distanceTo(table.position) > 4) {
+      const reached = await this.navigation.goTo(table.position, { tolerance: 3 });
+      if (!reached) return null;
+    }
+
+    return table;
+  }
+
+  /**
+   * Craft a crafting table if needed and place it next to the bot
+   * @returns {Promise<Object|null>} Placed crafting table block, or null
+   */
+  async placeCraftingTable() {
+    if (!(await this.ensureItem('crafting_table', 1))) return null;
+
+    const feet = this.bot.entity.position.floored();
+    const offsets = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    for (const [dx, dz] of offsets) {
+      const target = feet.offset(dx, 0, dz);
+      const below = this.bot.blockAt(target.offset(0, -1, 0));
+      const space = this.bot.blockAt(target);
+
+      if (!below || below.boundingBox !== 'block' || !space || space.name !== 'air') continue;
+
+      await this.bot.equip(this.inventory.findItem('crafting_table'), 'hand');
+      await this.bot.placeBlock(below, new Vec3(0, 1, 0));
+      console.log(`[Crafting] Placed crafting table at ${target.x}, ${target.y}, ${target.z}`);
+      return this.bot.blockAt(target);
+    }
+
+    console.log('[Crafting] No room to place a crafting table');
+    return null;
+  }
+
+  /**
+   * Craft chests for storage, e.g. to extend the base
+   * @param {number} count - Number of chests to add
+   * @returns {Promise<boolean>} True if the chests were crafted
+   */
+  async craftChests(count = 1) {
+    return this.ensureItem('chest', this.inventory.getItemCount('chest') + count);
+  }
+
+  /**
+   * Count pickaxes in the inventory
+   * @returns {number} Number of pickaxes
+   */
+  getPickaxeCount() {
+    return this.bot.inventory.items().filter(item => item.name.endsWith('_pickaxe')).length;
+  }
+
+  /**
+   * Check if tools or torches have dropped below their minimums
+   * @returns {boolean} True if a restock should be attempted
+   */
+  needsRestock() {
+    if (!this.autoCraft || this.busy) return false;
+    if (Date.now() - this.lastFailedRestock < this.retryCooldown) return false;
+
+    const torchFuel = this.inventory.getItemCount('coal') + this.inventory.getItemCount('charcoal');
+    return this.getPickaxeCount() < this.minPickaxes ||
+      (this.inventory.getItemCount('torch') < this.minTorches && torchFuel > 0);
+  }
+
+  /**
+   * Craft replacement pickaxes and torches up to their minimums
+   * @returns {Promise<Object>} Crafted counts by item name
+   */
+  async restock() {
+    if (this.busy) return {};
+    this.busy = true;
+    const crafted = {};
+
+    try {
+      while (this.getPickaxeCount() < this.minPickaxes) {
+        const pickaxe = await this._craftBestPickaxe();
+        if (!pickaxe) break;
+        crafted[pickaxe] = (crafted[pickaxe] || 0) + 1;
+      }
+
+      const torches = this.inventory.getItemCount('torch');
+      if (torches < this.minTorches && await this.craftTorches(this.minTorches - torches)) {
+        crafted.torch = this.inventory.getItemCount('torch') - torches;
+      }
+
+      if (Object.keys(crafted).length === 0) {
+        this.lastFailedRestock = Date.now();
+      }
+      return crafted;
+    } catch (error) {
+      console.error(`[Crafting] Restock failed: ${error.message}`);
+      this.lastFailedRestock = Date.now();
+      return crafted;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Craft torches from coal or charcoal and sticks
+   * @param {number} count - Number of torches wanted
+   * @returns {Promise<boolean>} True if torches were crafted
+   */
+  async craftTorches(count) {
+    const fuel = ['coal', 'charcoal'].find(name => this.inventory.getItemCount(name) > 0);
+    if (!fuel) return false;
+
+    // Each craft turns one fuel and one stick into four torches
+    const crafts = Math.min(Math.ceil(count / 4), this.inventory.getItemCount(fuel));
+    if (!(await this.ensureItem('stick', crafts))) return false;
+
+    return this.craft('torch', crafts * 4);
+  }
+
+  /**
+   * Get crafting status
+   * @returns {Object} Current crafting settings and counts
+   */
+  getStatus() {
+    return {
+      autoCraft: this.autoCraft,
+      busy: this.busy,
+      pickaxes: this.getPickaxeCount(),
+      minPickaxes: this.minPickaxes,
+      torches: this.inventory.getItemCount('torch'),
+      minTorches: this.minTorches
+    };
+  }
+
+  /**
+   * Craft the best pickaxe the materials allow
+   * @private
+   */
+  async _craftBestPickaxe() {
+    for (const { name, material } of PICKAXE_UPGRADES) {
+      if (material && this.inventory.getItemCount(material) < 3) continue;
+      if (await this.ensureItem(name, this.inventory.getItemCount(name) + 1)) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Crafting table within the search radius
+   * @private
+   */
+  _findCraftingTable() {
+    const tableId = this.bot.registry.blocksByName.crafting_table.id;
+    return this.bot.findBlock({ matching: tableId, maxDistance: this.tableSearchRadius });
+  }
+
+  /**
+   * Work out every craft an item needs, ingredients first
+   * Ingredients are reserved against a copy of the inventory, so sticks cannot
+   * use up the planks the pickaxe itself is counting on
+   * @returns {Array|null} Steps {itemName, count, recipe}, or null if the materials are short
+   * @private
+   */
+  _planCrafts(itemName, count) {
+    const plan = withTable => {
+      const stock = new Map();
+      const steps = [];
+      if (withTable && !this._planItem('crafting_table', 1, stock, 0, steps)) return null;
+      return this._planItem(itemName, count, stock, 0, steps) ? steps : null;
+    };
+
+    const steps = plan(false);
+    if (!steps || !steps.some(step => step.recipe.requiresTable) || this._findCraftingTable()) {
+      return steps;
+    }
+    // A table will have to be crafted too, out of the same planks
+    return plan(true);
+  }
+
+  /**
+   * Reserve count of an item in stock, planning crafts for whatever is missing
+   * @returns {boolean} True if the item can be had
+   * @private
+   */
+  _planItem(itemName, count, stock, depth, steps) {
+    if (!stock.has(itemName)) stock.set(itemName, this.inventory.getItemCount(itemName));
+    const have = stock.get(itemName);
+    if (have >= count) {
+      stock.set(itemName, have - count);
+      return true;
+    }
+    if (depth > this.maxDepth) return false;
+
+    const item = this.bot.registry.itemsByName[itemName];
+    if (!item) return false;
+    const missing = count - have;
+
+    // Try recipes needing the fewest missing ingredients first
+    const recipes = this.bot.recipesAll(item.id, null, true)
+      .map(recipe => ({ recipe, shortfall: this._getShortfall(recipe, missing) }))
+      .sort((a, b) => a.shortfall - b.shortfall);
+
+    for (const { recipe } of recipes) {
+      const times = Math.ceil(missing / recipe.result.count);
+      const trialStock = new Map(stock);
+      const trialSteps = [];
+
+      const gathered = recipe.delta
+        .filter(entry => entry.count < 0)
+        .every(entry => this._planItem(
+          this.bot.registry.items[entry.id].name, -entry.count * times, trialStock, depth + 1, trialSteps
+        ));
+      if (!gathered) continue;
+
+      // Leftovers from this craft stay available to later branches
+      trialStock.set(itemName, have + times * recipe.result.count - count);
+      trialStock.forEach((amount, name) => stock.set(name, amount));
+      steps.push(...trialSteps, { itemName, count: missing, recipe });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Count ingredient units missing for a recipe
+   * @private
+   */
+  _getShortfall(recipe, count) {
+    const times = Math.ceil(count / recipe.result.count);
+    return recipe.delta
+      .filter(entry => entry.count < 0)
+      .reduce((total, entry) => {
+        const have = this.bot.inventory.count(entry.id, entry.metadata);
+        return total + Math.max(0, -entry.count * times - have);
+      }, 0);
+  }
+}
+
+module.exports = CraftingManager;
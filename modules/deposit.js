@@ -0,0 +1,166 @@
+/**
+ * Deposit Module - Return-to-base chest storage
+ * Walks to the base, fills the configured chests in order and reports full ones
+ */
+
+const Vec3 = require('vec3');
+
+// Never deposited, whatever the rule
+const KEPT_CATEGORIES = ['tools', 'armor', 'food'];
+
+// Which items each rule sends to storage
+const DEPOSIT_RULES = {
+  ores: (inventory, name) => inventory.isInCategory(name, 'ores'),
+  blocks: (inventory, name) => inventory.isInCategory(name, 'blocks'),
+  all: () => true
+};
+
+const CONTAINER_BLOCKS = ['chest', 'trapped_chest', 'barrel'];
+
+class DepositManager {
+  constructor(bot, { navigation, inventory }) {
+    this.bot = bot;
+    this.navigation = navigation;
+    this.inventory = inventory;
+    this.enabled = false;
+    this.base = null;
+    this.chests = [];
+    this.rule = 'all';
+    this.thresholdPercent = 90;
+    this.fullChests = [];
+  }
+
+  /**
+   * Apply deposit settings
+   * @param {Object} settings - {enabled, base, chests, rule, thresholdPercent}
+   */
+  configure(settings = {}) {
+    if (settings.rule !== undefined && !DEPOSIT_RULES[settings.rule]) {
+      throw new Error(`Unknown deposit rule: ${settings.rule} (available: ${Object.keys(DEPOSIT_RULES).join(', ')})`);
+    }
+
+    if (settings.enabled !== undefined) this.enabled = settings.enabled;
+    if (settings.base) this.base = new Vec3(settings.base.x, settings.base.y, settings.base.z);
+    if (settings.chests) this.chests = settings.chests.map(pos => new Vec3(pos.x, pos.y, pos.z));
+    if (settings.rule !== undefined) this.rule = settings.rule;
+    if (settings.thresholdPercent !== undefined) this.thresholdPercent = settings.thresholdPercent;
+  }
+
+  /**
+   * Check if inventory usage has crossed the deposit threshold
+   * @returns {boolean} True if the bot should go and deposit
+   */
+  needsDeposit() {
+    return this.inventory.getUsagePercentage() >= this.thresholdPercent;
+  }
+
+  /**
+   * Get the amounts the current rule would deposit, minus what item rules keep back
+   * @returns {Array} Array of {name, type, count}
+   */
+  getItemsToDeposit() {
+    const totals = new Map();
+    for (const item of this.bot.inventory.items()) {
+      if (KEPT_CATEGORIES.some(category => this.inventory.isInCategory(item.name, category))) continue;
+      if (!DEPOSIT_RULES[this.rule](this.inventory, item.name)) continue;
+
+      const entry = totals.get(item.name) || { name: item.name, type: item.type, count: 0 };
+      entry.count += item.count;
+      totals.set(item.name, entry);
+    }
+
+    return [...totals.values()]
+      .map(entry => ({ ...entry, count: entry.count - this.inventory.getProtectedAmount(entry.name) }))
+      .filter(entry => entry.count > 0);
+  }
+
+  /**
+   * Walk to the base and deposit into the configured chests in order
+   * @returns {Promise<Object>} {success, deposited, fullChests, reason}
+   */
+  async depositAtBase() {
+    const result = { success: false, deposited: {}, fullChests: [], reason: null };
+
+    if (!this.base || this.chests.length === 0) {
+      result.reason = 'no base or chests configured';
+      return result;
+    }
+
+    console.log(`[Deposit] Returning to base at ${this.base.x}, ${this.base.y}, ${this.base.z}`);
+    if (!(await this.navigation.returnToBase(this.base, { tolerance: 2 }))) {
+      result.reason = 'base unreachable';
+      return result;
+    }
+
+    for (const chestPos of this.chests) {
+      if (this.getItemsToDeposit().length === 0) break;
+
+      const outcome = await this.depositIntoChest(chestPos, result.deposited);
+      if (outcome === 'full') {
+        result.fullChests.push(chestPos);
+        console.warn(`[Deposit] Chest at ${chestPos.x}, ${chestPos.y}, ${chestPos.z} is full, trying next chest`);
+      }
+    }
+
+    this.fullChests = result.fullChests;
+    result.success = this.getItemsToDeposit().length === 0;
+    if (!result.success) {
+      result.reason = 'all chests full or unreachable';
+    }
+
+    console.log(`[Deposit] Deposited ${Object.values(result.deposited).reduce((a, b) => a + b, 0)} items`);
+    return result;
+  }
+
+  /**
+   * Open one chest and move every depositable item into it
+   * @param {Vec3} chestPos - Chest position
+   * @param {Object} deposited - Running totals by item name, updated in place
+   * @returns {Promise<string>} 'done', 'full' or 'unreachable'
+   */
+  async depositIntoChest(chestPos, deposited = {}) {
+    if (!(await this.navigation.goTo(chestPos, { tolerance: 2 }))) {
+      console.warn(`[Deposit] Cannot reach chest at ${chestPos.x}, ${chestPos.y}, ${chestPos.z}`);
+      return 'unreachable';
+    }
+
+    const block = this.bot.blockAt(chestPos);
+    if (!block || !CONTAINER_BLOCKS.includes(block.name)) {
+      console.warn(`[Deposit] No chest at ${chestPos.x}, ${chestPos.y}, ${chestPos.z}`);
+      return 'unreachable';
+    }
+
+    const container = await this.bot.openContainer(block);
+    try {
+      for (const entry of this.getItemsToDeposit()) {
+        try {
+          await container.deposit(entry.type, null, entry.count);
+          deposited[entry.name] = (deposited[entry.name] || 0) + entry.count;
+        } catch (error) {
+          if (error.message === 'destination full') return 'full';
+          throw error;
+        }
+      }
+      return 'done';
+    } finally {
+      container.close();
+    }
+  }
+
+  /**
+   * Get deposit status
+   * @returns {Object} Current deposit settings and full chests
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      base: this.base,
+      chests: this.chests,
+      rule: this.rule,
+      thresholdPercent: this.thresholdPercent,
+      fullChests: this.fullChests
+    };
+  }
+}
+
+module.exports = DepositManager;
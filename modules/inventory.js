@@ -3,11 +3,78 @@
  * Handles inventory operations for Minecraft auto-miner bot
  */
 
+// Mined drops that are not named *_ore or raw_*
+const ORE_DROPS = [
+  'coal',
+  'diamond',
+  'emerald',
+  'lapis_lazuli',
+  'redstone',
+  'quartz',
+  'amethyst_shard',
+  'ancient_debris',
+  'netherite_scrap',
+  'gold_nugget'
+];
+
+const STONE_LIKE = [
+  'cobblestone',
+  'cobbled_deepslate',
+  'stone',
+  'deepslate',
+  'granite',
+  'diorite',
+  'andesite',
+  'tuff',
+  'calcite',
+  'netherrack',
+  'blackstone',
+  'basalt',
+  'smooth_basalt'
+];
+
+const SOIL = ['dirt', 'coarse_dirt', 'rooted_dirt', 'gravel', 'sand', 'red_sand', 'clay_ball', 'flint'];
+
+// Item categories, each a test on the item name
+const ITEM_CATEGORIES = {
+  tools: (name) => /_(pickaxe|axe|shovel|hoe|sword)$/.test(name) ||
+    ['shears', 'flint_and_steel', 'shield', 'bow', 'crossbow', 'trident'].includes(name),
+  armor: (name) => /_(helmet|chestplate|leggings|boots)$/.test(name),
+  food: (name, registry) => !!(registry.foodsByName && registry.foodsByName[name]),
+  ores: (name) => name.endsWith('_ore') || name.startsWith('raw_') || ORE_DROPS.includes(name),
+  blocks: (name, registry) => !!registry.blocksByName[name],
+  'stone-like': (name) => STONE_LIKE.includes(name),
+  soil: (name) => SOIL.includes(name)
+};
+
+const RULE_ACTIONS = ['keep', 'drop', 'trash'];
+
+// Hotbar slot i holds the best item matching entry i (same match syntax as item rules)
+const DEFAULT_HOTBAR_LAYOUT = [
+  { role: 'pickaxe', match: '*_pickaxe' },
+  { role: 'shovel', match: '*_shovel' },
+  { role: 'axe', match: '*_axe' },
+  { role: 'sword', match: '*_sword' },
+  null,
+  null,
+  { role: 'torch', match: 'torch' },
+  { role: 'bridging', match: '@stone-like' },
+  { role: 'food', match: '@food' }
+];
+
+const TOOL_TIERS = ['netherite', 'diamond', 'iron', 'stone', 'golden', 'wooden'];
+
+// Main inventory order after sorting
+const SORT_CATEGORIES = ['ores', 'blocks'];
+
 class InventoryManager {
   constructor(bot) {
     this.bot = bot;
     this.inventorySize = 36; // Standard player inventory size
     this.craftingSize = 4; // Crafting table grid (2x2)
+    this.itemRules = [];
+    this.tightThresholdPercent = 80;
+    this.setHotbarLayout(DEFAULT_HOTBAR_LAYOUT);
   }
 
   /**
@@ -33,9 +100,20 @@ class InventoryManager {
    * @returns {Array} Array of empty slot indices
    */
   getEmptySlots() {
-    return this.bot.inventory.slots
-      .map((item, index) => item === null ? index : -1)
-      .filter(index => index !== -1);
+    return this.getStorageSlots().filter(index => !this.bot.inventory.slots[index]);
+  }
+
+  /**
+   * Get the indices of the main inventory and hotbar (excludes armor and crafting slots)
+   * @returns {Array} Array of slot indices
+   */
+  getStorageSlots() {
+    const { inventoryStart, inventoryEnd } = this.bot.inventory;
+    const slots = [];
+    for (let index = inventoryStart; index < inventoryEnd; index++) {
+      slots.push(index);
+    }
+    return slots;
   }
 
   /**
@@ -83,7 +161,7 @@ class InventoryManager {
    */
   getUsagePercentage() {
     const totalSlots = this.inventorySize;
-    const usedSlots = this.bot.inventory.slots.filter(item => item !== null).length;
+    const usedSlots = totalSlots - this.getEmptySlots().length;
     return Math.round((usedSlots / totalSlots) * 100);
   }
 
@@ -155,40 +233,308 @@ class InventoryManager {
     return this.bot.inventory.items().filter(item => item.name === itemName);
   }
 
+  /**
+   * Check if an item belongs to a category
+   * @param {string} itemName - Name of the item
+   * @param {string} category - Category name (tools, armor, food, ores, blocks)
+   * @returns {boolean} True if the item is in the category
+   */
+  isInCategory(itemName, category) {
+    const matcher = ITEM_CATEGORIES[category];
+    if (!matcher) {
+      throw new Error(`Unknown item category: ${category}`);
+    }
+    return matcher(itemName, this.bot.registry);
+  }
+
+  /**
+   * Get all categories an item belongs to
+   * @param {string} itemName - Name of the item
+   * @returns {Array} Category names
+   */
+  getItemCategories(itemName) {
+    return Object.keys(ITEM_CATEGORIES).filter(category => this.isInCategory(itemName, category));
+  }
+
+  /**
+   * Set keep/drop/trash rules; the first matching rule wins
+   * Rules match an item name, a wildcard pattern (deepslate_*) or a category (@stone-like)
+   * - keep: never thrown away, min limits how many are kept back from deposits
+   * - drop: thrown away when inventory gets tight, keeping min
+   * - trash: thrown away whenever rules run, keeping min
+   * @param {Array} rules - Array of {match, action, min}
+   */
+  setItemRules(rules) {
+    this.itemRules = rules.map((rule, index) => {
+      if (!rule || typeof rule.match !== 'string' || rule.match.length === 0) {
+        throw new Error(`Item rule ${index}: match must be a non-empty string`);
+      }
+      if (!RULE_ACTIONS.includes(rule.action)) {
+        throw new Error(`Item rule ${index}: action must be one of ${RULE_ACTIONS.join(', ')}`);
+      }
+      if (rule.min !== undefined && !(Number.isInteger(rule.min) && rule.min >= 0)) {
+        throw new Error(`Item rule ${index}: min must be a non-negative integer`);
+      }
+      if (rule.match.startsWith('@') && !ITEM_CATEGORIES[rule.match.slice(1)]) {
+        throw new Error(`Item rule ${index}: unknown category ${rule.match}`);
+      }
+
+      return { ...rule, test: this._compileMatcher(rule.match) };
+    });
+  }
+
+  /**
+   * Get the first rule matching an item
+   * @param {string} itemName - Name of the item
+   * @returns {Object|null} Matching rule or null
+   */
+  getRuleFor(itemName) {
+    return this.itemRules.find(rule => rule.test(itemName)) || null;
+  }
+
+  /**
+   * Get how many of an item the rules hold back from dropping and deposits
+   * @param {string} itemName - Name of the item
+   * @returns {number} Amount to keep (Infinity for an unlimited keep rule)
+   */
+  getProtectedAmount(itemName) {
+    const rule = this.getRuleFor(itemName);
+    if (!rule) return 0;
+    if (rule.min !== undefined) return rule.min;
+    return rule.action === 'keep' ? Infinity : 0;
+  }
+
+  /**
+   * Check if inventory is close enough to full for drop rules to apply
+   * @returns {boolean} True if usage is at or above the tight threshold
+   */
+  isTight() {
+    return this.getUsagePercentage() >= this.tightThresholdPercent;
+  }
+
+  /**
+   * Work out what the rules would throw away right now
+   * @param {boolean} tight - Whether drop rules apply as well as trash rules
+   * @returns {Array} Array of {name, type, count} to toss
+   */
+  getJunk(tight = this.isTight()) {
+    const totals = new Map();
+    for (const item of this.bot.inventory.items()) {
+      const entry = totals.get(item.name) || { name: item.name, type: item.type, count: 0 };
+      entry.count += item.count;
+      totals.set(item.name, entry);
+    }
+
+    const junk = [];
+    for (const entry of totals.values()) {
+      const rule = this.getRuleFor(entry.name);
+      if (!rule || rule.action === 'keep') continue;
+      if (rule.action === 'drop' && !tight) continue;
+
+      const excess = entry.count - (rule.min || 0);
+      if (excess > 0) {
+        junk.push({ ...entry, count: excess });
+      }
+    }
+
+    return junk;
+  }
+
+  /**
+   * Toss everything the rules mark as junk
+   * @param {boolean} tight - Whether drop rules apply as well as trash rules
+   * @returns {Promise} Resolves with the tossed amounts by item name
+   */
+  async disposeJunk(tight = this.isTight()) {
+    try {
+      const dropped = {};
+      for (const entry of this.getJunk(tight)) {
+        await this.bot.toss(entry.type, null, entry.count);
+        dropped[entry.name] = entry.count;
+      }
+      return { success: true, dropped };
+    } catch (error) {
+      console.error(`Error disposing junk: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Consolidate items (stack items of same type together)
+   * Repeatedly moves the smallest partial stack onto the largest one until no two can merge
    * @returns {Promise} Promise that resolves when items are consolidated
    */
   async consolidateItems() {
     try {
-      const items = this.bot.inventory.items();
-      const itemMap = new Map();
+      const emptyBefore = this.getEmptySlots().length;
+      let consolidated = 0;
 
-      // Group items by name
-      for (const item of items) {
-        if (!itemMap.has(item.name)) {
-          itemMap.set(item.name, []);
+      // Each move fills the target or empties the source, so this ends
+      for (let moves = 0; moves < this.inventorySize * 2; moves++) {
+        const merge = this._findMerge();
+        if (!merge) break;
+
+        await this.bot.moveSlotItem(merge.source.slot, merge.target.slot);
+        consolidated++;
+      }
+
+      return {
+        success: true,
+        itemsConsolidated: consolidated,
+        slotsFreed: this.getEmptySlots().length - emptyBefore
+      };
+    } catch (error) {
+      console.error(`Error consolidating items: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the hotbar layout used by sortInventory
+   * @param {Array} layout - Nine entries of {role, match} or null for free slots
+   */
+  setHotbarLayout(layout) {
+    if (!Array.isArray(layout) || layout.length !== 9) {
+      throw new Error('Hotbar layout must have exactly 9 entries');
+    }
+
+    this.hotbarLayout = layout.map(entry => entry && {
+      role: entry.role,
+      match: entry.match,
+      test: this._compileMatcher(entry.match)
+    });
+  }
+
+  /**
+   * Get the inventory slot reserved for a hotbar role
+   * @param {string} role - Layout role, e.g. pickaxe, torch, bridging
+   * @returns {number|null} Inventory slot index, or null if the layout has no such role
+   */
+  getHotbarSlot(role) {
+    const index = this.hotbarLayout.findIndex(entry => entry && entry.role === role);
+    return index === -1 ? null : this.bot.inventory.hotbarStart + index;
+  }
+
+  /**
+   * Sort the inventory: layout items into their hotbar slots, then
+   * group the main inventory by category (ores first, then blocks) and name
+   * @returns {Promise} Resolves with the number of moves made
+   */
+  async sortInventory() {
+    try {
+      await this.consolidateItems();
+      const { hotbarStart, inventoryStart } = this.bot.inventory;
+      const placed = new Set();
+      let moves = 0;
+
+      // Hotbar roles first so later roles can't steal their items
+      for (let index = 0; index < this.hotbarLayout.length; index++) {
+        const entry = this.hotbarLayout[index];
+        if (!entry) continue;
+
+        const dest = hotbarStart + index;
+        const best = this.getStorageSlots()
+          .map(slot => this.bot.inventory.slots[slot])
+          .filter(item => item && !placed.has(item.slot) && entry.test(item.name))
+          .sort((a, b) => this._rankItem(b) - this._rankItem(a))[0];
+
+        if (!best) continue;
+        if (best.slot !== dest) {
+          await this.bot.moveSlotItem(best.slot, dest);
+          moves++;
         }
-        itemMap.get(item.name).push(item);
+        placed.add(dest);
       }
 
-      // Consolidate stacks
-      let consolidated = 0;
-      for (const [itemName, itemList] of itemMap) {
-        if (itemList.length > 1) {
-          const maxStack = itemList[0].stackSize || 64;
-          // Move logic would go here based on bot implementation
-          consolidated += itemList.length - 1;
+      // Selection sort over the main inventory using live slot contents
+      for (let slot = inventoryStart; slot < hotbarStart; slot++) {
+        let smallest = slot;
+        for (let other = slot + 1; other < hotbarStart; other++) {
+          if (this._compareForSort(this.bot.inventory.slots[other], this.bot.inventory.slots[smallest]) < 0) {
+            smallest = other;
+          }
+        }
+
+        if (smallest !== slot) {
+          await this.bot.moveSlotItem(smallest, slot);
+          moves++;
         }
       }
 
-      return { success: true, itemsConsolidated: consolidated };
+      return { success: true, moves };
     } catch (error) {
-      console.error(`Error consolidating items: ${error.message}`);
+      console.error(`Error sorting inventory: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Find the next pair of partial stacks that can merge
+   * @private
+   */
+  _findMerge() {
+    const groups = new Map();
+    for (const slot of this.getStorageSlots()) {
+      const item = this.bot.inventory.slots[slot];
+      if (!item || item.count >= item.stackSize) continue;
+
+      const key = `${item.type}:${item.metadata}:${JSON.stringify(item.nbt || null)}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+
+    for (const stacks of groups.values()) {
+      if (stacks.length < 2) continue;
+      stacks.sort((a, b) => b.count - a.count);
+      return { target: stacks[0], source: stacks[stacks.length - 1] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Rank candidates for a hotbar role: better tool tier, then bigger stack
+   * @private
+   */
+  _rankItem(item) {
+    const tier = TOOL_TIERS.findIndex(prefix => item.name.startsWith(`${prefix}_`));
+    return (tier === -1 ? 0 : (TOOL_TIERS.length - tier) * 1000) + item.count;
+  }
+
+  /**
+   * Order for the main inventory; empty slots sort last
+   * @private
+   */
+  _compareForSort(a, b) {
+    if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+
+    const rank = (item) => {
+      const index = SORT_CATEGORIES.findIndex(category => this.isInCategory(item.name, category));
+      return index === -1 ? SORT_CATEGORIES.length : index;
+    };
+
+    return rank(a) - rank(b) || a.name.localeCompare(b.name) || b.count - a.count;
+  }
+
+  /**
+   * Build a name test for a rule match string
+   * @private
+   */
+  _compileMatcher(match) {
+    if (match.startsWith('@')) {
+      const category = match.slice(1);
+      return (name) => this.isInCategory(name, category);
+    }
+
+    if (match.includes('*')) {
+      const pattern = match.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      const regex = new RegExp(`^${pattern}$`);
+      return (name) => regex.test(name);
+    }
+
+    return (name) => name === match;
+  }
+
   /**
    * Check if inventory is full
    * @returns {boolean} True if inventory is full
@@ -239,4 +585,8 @@ class InventoryManager {
   }
 }
 
+// Accepted item rule actions and @categories, for config validation
+InventoryManager.RULE_ACTIONS = RULE_ACTIONS;
+InventoryManager.ITEM_CATEGORIES = Object.keys(ITEM_CATEGORIES);
+
 module.exports = InventoryManager;
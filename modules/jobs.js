@@ -0,0 +1,141 @@
+/**
+ * Job Store - Persists mining jobs as JSON files so they survive restarts
+ * Each job records its area, pattern, cursor into the planned dig order and
+ * the positions already mined
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data', 'jobs');
+
+class JobStore {
+  constructor(dataDir = DEFAULT_DATA_DIR) {
+    this.dataDir = dataDir;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Create a new job record
+   * @param {Object} params - {area: {start, end}, pattern, patternOptions}
+   * @returns {Object} Job with completed positions as a Set
+   */
+  create({ area, pattern, patternOptions = {} }) {
+    const now = Date.now();
+    return {
+      id: `job-${now}`,
+      status: 'running',
+      pauseReason: null,
+      area: {
+        start: { x: area.start.x, y: area.start.y, z: area.start.z },
+        end: { x: area.end.x, y: area.end.y, z: area.end.z }
+      },
+      pattern,
+      patternOptions,
+      cursor: 0,
+      total: 0,
+      completed: new Set(),
+      deferred: [],
+      hazardZones: [],
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Write a job to disk (queued so writes never interleave)
+   * @param {Object} job - Job to save
+   * @returns {Promise} Resolves when the job is written
+   */
+  save(job) {
+    job.updatedAt = Date.now();
+    const data = JSON.stringify({ ...job, completed: [...job.completed] });
+    const file = this._getPath(job.id);
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+        // Write then rename so a crash never leaves a half-written file
+        await fs.promises.writeFile(`${file}.tmp`, data);
+        await fs.promises.rename(`${file}.tmp`, file);
+      })
+      .catch(error => {
+        console.error(`[Jobs] Failed to save ${job.id}: ${error.message}`);
+      });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Load a job from disk
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null if it does not exist
+   */
+  load(id) {
+    try {
+      const job = JSON.parse(fs.readFileSync(this._getPath(id), 'utf8'));
+      job.completed = new Set(job.completed);
+      job.deferred = job.deferred || [];
+      job.hazardZones = job.hazardZones || [];
+      return job;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Jobs] Failed to load ${id}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * List all stored jobs, most recently updated first
+   * @returns {Array} Job summaries
+   */
+  list() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dataDir).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      return [];
+    }
+
+    return files
+      .map(file => this.load(path.basename(file, '.json')))
+      .filter(Boolean)
+      .map(job => ({
+        id: job.id,
+        status: job.status,
+        pauseReason: job.pauseReason,
+        area: job.area,
+        pattern: job.pattern,
+        cursor: job.cursor,
+        total: job.total,
+        completed: job.completed.size,
+        deferred: job.deferred.length,
+        hazardZones: job.hazardZones.length,
+        updatedAt: job.updatedAt
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Find the most recent job that was cut short rather than paused by an operator
+   * @param {Object} options - {includeManual: true to also accept operator pauses}
+   * @returns {Object|null} Job or null if there is nothing to resume
+   */
+  findResumable({ includeManual = false } = {}) {
+    const summary = this.list().find(job =>
+      job.status === 'running' || (job.status === 'paused' && (includeManual || job.pauseReason !== 'manual'))
+    );
+    return summary ? this.load(summary.id) : null;
+  }
+
+  /**
+   * Get file path for a job
+   * @private
+   */
+  _getPath(id) {
+    return path.join(this.dataDir, `${path.basename(id)}.json`);
+  }
+}
+
+module.exports = JobStore;
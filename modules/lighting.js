@@ -0,0 +1,140 @@
+/**
+ * Lighting Module - Torch placement along the tunnels the bot digs
+ * Places a torch on a nearby wall when block light at the bot drops below
+ * the configured level or the nearest torch is further than the spacing
+ */
+
+const Vec3 = require('vec3');
+
+const TORCH_BLOCKS = ['torch', 'wall_torch'];
+
+// Walls tried around the head, then the feet: [dx, dz]
+const WALL_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+class TorchPlacer {
+  constructor(bot, { inventory, crafting = null }) {
+    this.bot = bot;
+    this.inventory = inventory;
+    this.crafting = crafting;
+    this.enabled = true;
+    this.minLightLevel = 0; // 0 = spacing only
+    this.spacing = 8; // max blocks to the nearest torch
+    this.lowTorchThreshold = 8;
+    this.placed = 0;
+    this.lowWarned = false;
+  }
+
+  /**
+   * Apply lighting settings
+   * @param {Object} settings - {enabled, minLightLevel, spacing, lowTorchThreshold}
+   */
+  configure(settings = {}) {
+    if (settings.enabled !== undefined) this.enabled = settings.enabled;
+    if (settings.minLightLevel !== undefined) this.minLightLevel = settings.minLightLevel;
+    if (settings.spacing !== undefined) this.spacing = settings.spacing;
+    if (settings.lowTorchThreshold !== undefined) this.lowTorchThreshold = settings.lowTorchThreshold;
+  }
+
+  /**
+   * Check if the bot's position needs a torch
+   * @returns {boolean} True if it is too dark or too far from the last torch
+   */
+  needsTorch() {
+    const feet = this.bot.entity.position.floored();
+    const block = this.bot.blockAt(feet);
+    if (block && block.light < this.minLightLevel) return true;
+
+    const torchIds = TORCH_BLOCKS.map(name => this.bot.registry.blocksByName[name].id);
+    return !this.bot.findBlock({ matching: torchIds, maxDistance: this.spacing });
+  }
+
+  /**
+   * Place a torch if the bot's position needs one
+   * @returns {Promise<boolean>} True if a torch was placed
+   */
+  async update() {
+    if (!this.enabled || !this.needsTorch()) return false;
+
+    try {
+      if (this.inventory.getItemCount('torch') === 0 &&
+          !(this.crafting && await this.crafting.craftTorches(this.lowTorchThreshold))) {
+        this._warnLow();
+        return false;
+      }
+
+      const placed = await this.placeTorch();
+      this._warnLow();
+      return placed;
+    } catch (error) {
+      console.error(`[Lighting] Torch placement failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Place a torch on a solid wall next to the bot's head or feet
+   * @returns {Promise<boolean>} True if a torch was placed
+   */
+  async placeTorch() {
+    const feet = this.bot.entity.position.floored();
+
+    for (const dy of [1, 0]) {
+      const cell = feet.offset(0, dy, 0);
+      const space = this.bot.blockAt(cell);
+      if (!space || space.name !== 'air') continue;
+
+      for (const [dx, dz] of WALL_DIRECTIONS) {
+        const wall = this.bot.blockAt(cell.offset(dx, 0, dz));
+        if (!wall || wall.boundingBox !== 'block') continue;
+
+        await this.bot.equip(this.inventory.findItem('torch'), 'hand');
+        await this.bot.placeBlock(wall, new Vec3(-dx, 0, -dz));
+        this.placed++;
+        console.log(`[Lighting] Placed torch at ${cell.x}, ${cell.y}, ${cell.z}`);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check if torches have run low
+   * @returns {boolean} True if fewer torches than the warning threshold remain
+   */
+  isLow() {
+    return this.inventory.getItemCount('torch') < this.lowTorchThreshold;
+  }
+
+  /**
+   * Get lighting status
+   * @returns {Object} Settings, torches placed and torches left
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      minLightLevel: this.minLightLevel,
+      spacing: this.spacing,
+      placed: this.placed,
+      remaining: this.inventory.getItemCount('torch'),
+      low: this.isLow()
+    };
+  }
+
+  /**
+   * Warn once each time the torch supply drops below the threshold
+   * @private
+   */
+  _warnLow() {
+    if (!this.isLow()) {
+      this.lowWarned = false;
+      return;
+    }
+    if (this.lowWarned) return;
+
+    this.lowWarned = true;
+    console.warn(`[Lighting] Torches running low: ${this.inventory.getItemCount('torch')} left`);
+  }
+}
+
+module.exports = TorchPlacer;
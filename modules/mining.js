@@ -3,13 +3,58 @@
  * Provides functionality for automated mining operations in Minecraft
  */
 
+const Vec3 = require('vec3');
+const { getPattern } = require('./patterns');
+const JobStore = require('./jobs');
+const ToolSelector = require('./tools');
+
+// What to do with a block whose dig would expose a hazard
+const HAZARD_ACTIONS = ['skip', 'defer', 'allow'];
+
+const DEFAULT_HAZARD_POLICY = { lava: 'skip', water: 'skip', gravity: 'allow', drop: 'defer' };
+
+// Never mined, whatever the config says
+const ALWAYS_IGNORED = ['bedrock', 'obsidian'];
+
+// Config ore names whose block name differs from <name>_ore
+const ORE_ALIASES = {
+  lapis_lazuli: 'lapis'
+};
+
 class MiningModule {
-  constructor(bot) {
+  constructor(bot, options = {}) {
     this.bot = bot;
     this.isMining = false;
+    this.activeRun = null; // settles when the current _runJob loop has exited
+    this.runToken = 0; // bumped by each run, pause and stop
     this.miningQueue = [];
+    this.queueIndex = 0; // position of the block being mined in miningQueue
+    this.navigation = options.navigation || null;
+    this.lighting = options.lighting || null;
+    this.safety = options.safety || null;
+    this.sealer = options.sealer || null;
+    this.events = options.events || null; // receives mining:dug and mining:digFailed
+    this.hazardPolicy = { ...DEFAULT_HAZARD_POLICY };
+    this.reachDistance = 4.5; // blocks from the bot's eyes
+    this.maxRetryPasses = 2;
+    this.job = null;
+    this.jobStore = new JobStore(options.dataDir);
+    this.saveInterval = 5000; // ms between progress checkpoints
+    this.lastSave = 0;
+    this.pattern = 'quarry';
+    this.patternOptions = {};
     this.blocksPerSecond = 1;
-    this.ignoredBlocks = ['bedrock', 'obsidian'];
+    this.tools = new ToolSelector(bot);
+    this.autoToolSwitch = true;
+    this.lastDigTime = 0; // ms, estimated for the last dug block
+    this.configIgnoredBlocks = []; // avoid_blocks, replaced on every config apply
+    this.runtimeIgnoredBlocks = []; // added by the ignore command, kept until restart
+    this.ignoredBlocks = [...ALWAYS_IGNORED];
+    this.targetOres = [];
+    this.maxVeinSize = 64;
+    this.maxVeinRadius = 12; // blocks from where the vein was found
+    this.veinStats = {};
+    this.descending = false;
   }
 
   /**
@@ -57,7 +102,7 @@ class MiningModule {
    */
   filterMineableBlocks(positions) {
     return positions.filter(pos => {
-      const block = this.bot.blockAt(pos);
+      const block = this.bot.blockAt(this._toVec3(pos));
       if (!block) return false;
       
       // Skip air blocks and ignored materials
@@ -97,102 +142,484 @@ class MiningModule {
   /**
    * Mine a single block
    * @param {Object} blockPos - Block position {x, y, z}
-   * @returns {Promise} Resolves when block is mined
+   * @returns {Promise<string|null>} Name of the mined block, or null if nothing was mined
    */
   async mineBlock(blockPos) {
     try {
-      const block = this.bot.blockAt(blockPos);
+      const block = this.bot.blockAt(this._toVec3(blockPos));
       
       if (!block || block.name === 'air') {
-        return Promise.resolve();
+        return null;
+      }
+
+      if (this.isInHazardZone(blockPos)) {
+        console.log(`[Mining] Skipped ${blockPos.x}, ${blockPos.y}, ${blockPos.z} (inside a hazard zone)`);
+        return null;
       }
 
       if (this.ignoredBlocks.includes(block.name)) {
         console.log(`[Mining] Skipped ${block.name} at ${blockPos.x}, ${blockPos.y}, ${blockPos.z}`);
-        return Promise.resolve();
+        return null;
+      }
+
+      // Refuse blocks that would drop nothing with the tools at hand
+      if (!this.canHarvest(block)) {
+        const tools = this.tools.getHarvestToolNames(block);
+        const needs = tools ? `needs ${tools.join(', ')}` : 'unbreakable';
+        console.log(`[Mining] Cannot harvest ${block.name} at ${blockPos.x}, ${blockPos.y}, ${blockPos.z} (${needs})`);
+        this._defer(blockPos);
+        this._emitDigFailed('cannot_harvest', block.name, blockPos);
+        return null;
       }
 
-      // Equip appropriate tool if needed
-      await this.equipBestTool(block);
+      // Walk into reach first; unreachable blocks are retried later
+      if (!(await this.moveWithinReach(blockPos))) {
+        this._defer(blockPos);
+        this._emitDigFailed('unreachable', block.name, blockPos);
+        return null;
+      }
+
+      // Check the neighbours from where the bot ended up standing
+      if (!this._checkDigHazards(blockPos)) {
+        this._emitDigFailed('hazard', block.name, blockPos);
+        return null;
+      }
+
+      // Equip the fastest tool for this block
+      const tool = await this.equipBestTool(block);
+      this.lastDigTime = tool.digTime;
       
       // Dig the block
+      const digStart = Date.now();
       await this.bot.dig(block);
       console.log(`[Mining] Mined ${block.name} at ${blockPos.x}, ${blockPos.y}, ${blockPos.z}`);
-      
+      if (this.events) {
+        this.events.emit('mining:dug', { block: block.name, position: blockPos, duration: Date.now() - digStart });
+      }
+      if (this.job) {
+        this.job.completed.add(this._key(blockPos));
+      }
+
+      if (this.sealer && this.sealer.enabled) {
+        await this._sealExposedFluids(blockPos);
+      }
+      return block.name;
+
     } catch (error) {
       console.error(`[Mining] Error mining block at ${blockPos.x}, ${blockPos.y}, ${blockPos.z}:`, error.message);
+      this._emitDigFailed('error', null, blockPos);
+      return null;
+    }
+  }
+
+  /**
+   * Set how each dig hazard is handled
+   * @param {Object} policy - Map of hazard type (lava, water, gravity, drop) to 'skip', 'defer' or 'allow'
+   */
+  setHazardPolicy(policy) {
+    for (const [type, action] of Object.entries(policy)) {
+      if (!this.hazardPolicy[type]) {
+        throw new Error(`Unknown dig hazard: ${type} (available: ${Object.keys(this.hazardPolicy).join(', ')})`);
+      }
+      if (!HAZARD_ACTIONS.includes(action)) {
+        throw new Error(`Invalid action for ${type}: ${action} (expected ${HAZARD_ACTIONS.join(', ')})`);
+      }
+    }
+    Object.assign(this.hazardPolicy, policy);
+  }
+
+  /**
+   * Leave the area around a hazard out of the current job
+   * @param {Object} position - Hazard position {x, y, z}
+   * @param {number} radius - Blocks around it to skip
+   */
+  async markHazardZone(position, radius = 3) {
+    if (!this.job || this.isInHazardZone(position)) return;
+
+    this.job.hazardZones.push({ x: position.x, y: position.y, z: position.z, radius });
+    console.log(`[Mining] Marked hazard zone at ${position.x}, ${position.y}, ${position.z} (radius ${radius})`);
+    await this.jobStore.save(this.job);
+  }
+
+  /**
+   * Check if a block lies in an area fenced off after an unsealed fluid or lava escape
+   * @param {Object} blockPos - Block position {x, y, z}
+   * @returns {boolean} True if the current job skips it
+   */
+  isInHazardZone(blockPos) {
+    if (!this.job || !this.job.hazardZones) return false;
+
+    return this.job.hazardZones.some(zone =>
+      Math.abs(blockPos.x - zone.x) <= zone.radius &&
+      Math.abs(blockPos.y - zone.y) <= zone.radius &&
+      Math.abs(blockPos.z - zone.z) <= zone.radius
+    );
+  }
+
+  /**
+   * Make sure a block is within reach and in sight, walking there if needed
+   * @param {Object} blockPos - Block position {x, y, z}, optionally with a planned standAt
+   * @returns {Promise<boolean>} True if the block can be dug from where the bot stands
+   */
+  async moveWithinReach(blockPos) {
+    const target = this._toVec3(blockPos);
+
+    if (this._canReachFrom(this.bot.entity.position, target)) {
+      return true;
+    }
+
+    if (!this.navigation) {
+      return false;
+    }
+
+    const standPos = this.findStandingPosition(blockPos);
+    if (!standPos) {
+      console.log(`[Mining] No standing position in reach of ${target.x}, ${target.y}, ${target.z}`);
+      return false;
+    }
+
+    const reached = await this.navigation.goTo(standPos, { tolerance: 0, timeout: 30000 });
+    return reached && this._canReachFrom(this.bot.entity.position, target);
+  }
+
+  /**
+   * Find a safe position to stand at while digging a block
+   * Prefers the pattern's planned standing position, then the closest candidate to the bot
+   * @param {Object} blockPos - Block position {x, y, z}, optionally with a planned standAt
+   * @returns {Vec3|null} Feet position or null if none is reachable
+   */
+  findStandingPosition(blockPos) {
+    const target = this._toVec3(blockPos);
+    const isValid = (pos) =>
+      this.navigation.canStandAt(pos) &&
+      // Never stand on the block being dug
+      !(pos.x === target.x && pos.z === target.z && pos.y - 1 === target.y) &&
+      this._canReachFrom(pos.offset(0.5, 0, 0.5), target);
+
+    if (blockPos.standAt) {
+      const planned = this._toVec3(blockPos.standAt);
+      if (isValid(planned)) return planned;
+    }
+
+    const radius = Math.ceil(this.reachDistance);
+    const botPos = this.bot.entity.position;
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (let x = -radius; x <= radius; x++) {
+      for (let y = -radius; y <= radius; y++) {
+        for (let z = -radius; z <= radius; z++) {
+          const pos = target.offset(x, y, z);
+          const distance = pos.distanceTo(botPos);
+          if (distance < bestDistance && isValid(pos)) {
+            best = pos;
+            bestDistance = distance;
+          }
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Get the target ore type a block belongs to (deepslate variants included)
+   * @param {string} blockName - Block name, e.g. deepslate_iron_ore
+   * @returns {string|null} Matching entry of targetOres, or null if not a target ore
+   */
+  getOreType(blockName) {
+    if (!blockName || !blockName.endsWith('_ore')) return null;
+
+    const base = blockName.replace(/^deepslate_/, '').replace(/_ore$/, '');
+    const match = this.targetOres.find(target => {
+      const name = ORE_ALIASES[target] || target;
+      return base === name || base.endsWith(`_${name}`);
+    });
+
+    return match || null;
+  }
+
+  /**
+   * Flood-fill the ore vein connected to a position (diagonals included)
+   * @param {Object} startPos - Position to grow the vein from {x, y, z}
+   * @param {string} oreType - Target ore type to follow
+   * @returns {Array} Vein block positions in discovery order
+   */
+  findVein(startPos, oreType) {
+    const start = this._toVec3(startPos);
+    const vein = [];
+    const visited = new Set([start.toString()]);
+    const queue = [start];
+
+    while (queue.length > 0 && vein.length < this.maxVeinSize) {
+      const pos = queue.shift();
+      const block = this.bot.blockAt(pos);
+      const isOre = block && this.getOreType(block.name) === oreType && !this.ignoredBlocks.includes(block.name);
+
+      // The start may already be mined; everything else must be ore to spread
+      if (isOre) {
+        vein.push(pos);
+      } else if (pos !== start) {
+        continue;
+      }
+
+      for (const neighbor of this._getNeighbors26(pos)) {
+        const key = neighbor.toString();
+        if (visited.has(key) || neighbor.distanceTo(start) > this.maxVeinRadius) continue;
+        visited.add(key);
+        queue.push(neighbor);
+      }
+    }
+
+    return vein;
+  }
+
+  /**
+   * Mine every target ore vein touching a freshly mined position
+   * @param {Object} origin - Position that was just mined {x, y, z}
+   * @param {string|null} minedName - Name of the block that was mined there
+   * @returns {Promise} Resolves when all connected veins are mined
+   */
+  async followVeins(origin, minedName) {
+    if (this.targetOres.length === 0) return;
+
+    const pending = this._findExposedOres(origin);
+    const originType = this.getOreType(minedName);
+    if (originType) {
+      // The mined block is the first block of its own vein
+      pending.unshift({ seed: this._toVec3(origin), oreType: originType, size: 1 });
+    }
+
+    while (pending.length > 0 && this.isMining) {
+      const { seed, oreType, size } = pending.shift();
+      const vein = this.findVein(seed, oreType);
+      if (vein.length === 0 && size === 0) continue;
+
+      console.log(`[Mining] Following ${oreType} vein (${vein.length + size} blocks)`);
+      let mined = size;
+
+      for (const pos of vein) {
+        if (!this.isMining) break;
+
+        if (await this.mineBlock(pos)) {
+          mined++;
+          // Other ore types exposed by the vein get their own pass
+          pending.push(...this._findExposedOres(pos).filter(ore => ore.oreType !== oreType));
+          await this._pace();
+        }
+      }
+
+      this._recordVein(oreType, mined);
     }
   }
 
+  /**
+   * Set the ore types whose veins are followed
+   * @param {Array} oreNames - Ore names from config, e.g. ['diamond', 'iron']
+   */
+  setTargetOres(oreNames) {
+    this.targetOres = [...new Set(oreNames)];
+    console.log(`[Mining] Target ores: ${this.targetOres.join(', ')}`);
+  }
+
+  /**
+   * Get vein statistics per ore type
+   * @returns {Object} Map of ore type to {veins, blocks, largest}
+   */
+  getVeinStats() {
+    return this.veinStats;
+  }
+
+  /**
+   * Check whether the bot can harvest a block with what it has
+   * @param {Object} block - Block to be mined
+   * @returns {boolean} True if the block would drop its item
+   */
+  canHarvest(block) {
+    if (this.autoToolSwitch) {
+      return this.tools.findBestTool(block) !== null;
+    }
+
+    const held = this.bot.heldItem;
+    return !!block.canHarvest(held ? held.type : null);
+  }
+
   /**
    * Equip the best tool for mining a block
    * @param {Object} block - Block to be mined
+   * @returns {Promise<Object|null>} {item, digTime} for the tool that will be used
    */
   async equipBestTool(block) {
-    try {
-      // Get the best tool for this block type
-      const toolType = this.getToolForBlock(block);
-      
-      if (!toolType) return;
+    const held = this.bot.heldItem;
 
-      // Find tool in inventory
-      const tool = this.bot.inventory.items().find(item => 
-        item.name.includes(toolType)
-      );
-
-      if (tool) {
-        await this.bot.equip(tool, 'hand');
+    try {
+      if (this.autoToolSwitch) {
+        const best = await this.tools.equipBestTool(block);
+        if (best) return best;
       }
     } catch (error) {
       // Tool equipping is optional, continue anyway
     }
+
+    return { item: held, digTime: this.tools.getDigTime(block, held) };
   }
 
   /**
-   * Get appropriate tool type for a block
-   * @param {Object} block - Block to determine tool for
-   * @returns {string} Tool type name
+   * Dig a 1-wide staircase down to a Y level, one step per block forward
+   * Each step is checked for fluids around the blocks to dig and for a
+   * solid floor to land on; the walked steps become the route back to base
+   * @param {number} targetY - Feet level to stop at
+   * @param {Object} options - {direction: {x, z}, torches, recordRoute}
+   * @returns {Promise<Object>} {success, y, steps, reason}
    */
-  getToolForBlock(block) {
-    const stoneBlocks = ['stone', 'granite', 'diorite', 'andesite', 'slate'];
-    const ironBlocks = ['iron_ore', 'deepslate_iron_ore', 'gold_ore', 'deepslate_gold_ore'];
-    const diamondBlocks = ['diamond_ore', 'deepslate_diamond_ore', 'emerald_ore'];
-    const woodBlocks = ['oak_wood', 'spruce_wood', 'birch_wood', 'jungle_wood'];
+  async descendTo(targetY, options = {}) {
+    const { torches = true, recordRoute = true } = options;
+    const { x: dx, z: dz } = options.direction || this._facing();
+    const route = [this.bot.entity.position.floored()];
+    const result = { success: false, y: route[0].y, steps: 0, reason: null };
 
-    if (diamondBlocks.some(b => block.name.includes(b))) return 'diamond_pickaxe';
-    if (ironBlocks.some(b => block.name.includes(b))) return 'iron_pickaxe';
-    if (stoneBlocks.some(b => block.name.includes(b))) return 'stone_pickaxe';
-    if (woodBlocks.some(b => block.name.includes(b))) return 'axe';
-    
-    return null;
+    if (!this.navigation) {
+      throw new Error('Staircase descent needs navigation');
+    }
+    if (Math.abs(dx) + Math.abs(dz) !== 1) {
+      throw new Error('Staircase direction must be one of the four horizontal directions');
+    }
+
+    this.descending = true;
+    console.log(`[Mining] Descending from Y ${route[0].y} to Y ${targetY}`);
+
+    try {
+      while (this.descending && this.bot.entity.position.floored().y > targetY) {
+        const feet = this.bot.entity.position.floored();
+        const step = feet.offset(dx, -1, dz);
+        // Headroom over the step, the block at our feet level, then the step itself
+        const cells = [feet.offset(dx, 1, dz), feet.offset(dx, 0, dz), step];
+
+        const floor = this.bot.blockAt(step.offset(0, -1, 0));
+        if (!floor || floor.boundingBox !== 'block') {
+          result.reason = `${floor ? floor.name : 'unloaded chunk'} below ${step.x}, ${step.y}, ${step.z}`;
+          break;
+        }
+
+        const blocked = await this._digStaircaseCells(cells);
+        if (blocked) {
+          result.reason = blocked;
+          break;
+        }
+
+        if (!(await this.navigation.goTo(step, { tolerance: 0, timeout: 5000 }))) {
+          result.reason = `could not step down to ${step.x}, ${step.y}, ${step.z}`;
+          break;
+        }
+
+        route.push(step);
+        result.steps++;
+
+        if (torches && this.lighting) {
+          await this.lighting.update();
+        }
+      }
+    } finally {
+      this.descending = false;
+    }
+
+    result.y = this.bot.entity.position.floored().y;
+    result.success = result.y <= targetY;
+    if (recordRoute && this.navigation && route.length > 1) {
+      this.navigation.recordReturnRoute(route);
+    }
+
+    if (result.success) {
+      console.log(`[Mining] Reached Y ${result.y} after ${result.steps} steps`);
+    } else {
+      console.warn(`[Mining] Descent stopped at Y ${result.y}: ${result.reason || 'cancelled'}`);
+    }
+    return result;
   }
 
   /**
-   * Start mining a rectangular area
+   * Start mining a rectangular area as a new persistent job
    * @param {Object} startPos - Starting position {x, y, z}
    * @param {Object} endPos - Ending position {x, y, z}
-   * @returns {Promise} Resolves when mining is complete
+   * @param {Object} options - Pattern options {pattern, spacing, y, size}
+   * @returns {Promise} Resolves when mining is complete, paused or stopped
    */
-  async mineRectangularArea(startPos, endPos) {
+  async mineRectangularArea(startPos, endPos, options = {}) {
     if (this.isMining) {
       console.log('[Mining] Mining is already in progress');
       return;
     }
 
+    const { pattern = this.pattern, ...patternOptions } = { ...this.patternOptions, ...options };
+    getPattern(pattern);
+
+    this.job = this.jobStore.create({
+      area: { start: startPos, end: endPos },
+      pattern,
+      patternOptions
+    });
+    console.log(`[Mining] Created job ${this.job.id}`);
+
+    return this._runJob(this.job);
+  }
+
+  /**
+   * Run a job once the previous run has wound down
+   * A paused loop may still be waiting on a dig or path; starting next to it
+   * would mine the same job twice
+   * @private
+   */
+  async _runJob(job) {
+    const token = ++this.runToken;
+    if (this.activeRun) {
+      await this.activeRun;
+      // Paused, stopped or resumed again while waiting
+      if (token !== this.runToken) return;
+    }
+
+    const run = this._executeJob(job);
+    const settled = run.catch(() => {});
+    this.activeRun = settled;
+    try {
+      await run;
+    } finally {
+      if (this.activeRun === settled) this.activeRun = null;
+    }
+  }
+
+  /**
+   * Mine a job from its cursor until it completes, is paused or stopped
+   * @private
+   */
+  async _executeJob(job) {
     try {
       this.isMining = true;
-      console.log(`[Mining] Starting rectangular area excavation from (${startPos.x}, ${startPos.y}, ${startPos.z}) to (${endPos.x}, ${endPos.y}, ${endPos.z})`);
+      job.status = 'running';
+      job.pauseReason = null;
+      const { start, end } = job.area;
+      console.log(`[Mining] Starting ${job.pattern} excavation from (${start.x}, ${start.y}, ${start.z}) to (${end.x}, ${end.y}, ${end.z})`);
 
-      // Calculate all blocks in the rectangular area
-      const allBlocks = this.calculateMiningArea(startPos, endPos);
-      console.log(`[Mining] Calculated ${allBlocks.length} blocks in mining area`);
+      // Plan dig order and standing positions for the area; plans are deterministic so the cursor stays valid
+      const plannedBlocks = getPattern(job.pattern).plan(start, end, job.patternOptions);
+      plannedBlocks.forEach((entry, index) => { entry.index = index; });
+      job.total = plannedBlocks.length;
+      console.log(`[Mining] Planned ${plannedBlocks.length} blocks in mining area (cursor at ${job.cursor})`);
 
-      // Filter for mineable blocks only
-      const mineableBlocks = this.filterMineableBlocks(allBlocks);
-      console.log(`[Mining] Found ${mineableBlocks.length} mineable blocks`);
+      // A pause during vein following leaves the cursor on an already mined block
+      const interrupted = plannedBlocks[job.cursor];
+      if (interrupted && job.completed.has(this._key(interrupted))) {
+        await this.followVeins(interrupted, null);
+        if (this.isMining) job.cursor++;
+      }
 
-      // Sort blocks by distance from bot
-      this.miningQueue = this.sortBlocksByDistance(mineableBlocks);
+      // Filter for mineable blocks that are not already done
+      const remaining = plannedBlocks
+        .slice(job.cursor)
+        .filter(pos => !job.completed.has(this._key(pos)));
+      this.miningQueue = this.filterMineableBlocks(remaining);
+      this.queueIndex = 0;
+      console.log(`[Mining] Found ${this.miningQueue.length} mineable blocks`);
+      await this.jobStore.save(job);
 
       // Mine each block sequentially
       for (let i = 0; i < this.miningQueue.length; i++) {
@@ -201,8 +628,19 @@ class MiningModule {
           break;
         }
 
+        this.queueIndex = i;
         const blockPos = this.miningQueue[i];
-        await this.mineBlock(blockPos);
+        const minedName = await this.mineBlock(blockPos);
+        await this.followVeins(blockPos, minedName);
+
+        if (this.isMining && this.lighting) {
+          await this.lighting.update();
+        }
+
+        if (this.isMining) {
+          job.cursor = blockPos.index + 1;
+          this._checkpoint(job);
+        }
 
         // Progress update every 10 blocks
         if ((i + 1) % 10 === 0) {
@@ -210,48 +648,145 @@ class MiningModule {
         }
 
         // Delay between blocks based on blocksPerSecond setting
-        await this.delay(1000 / this.blocksPerSecond);
+        if (minedName) {
+          await this._pace();
+        }
       }
 
-      console.log(`[Mining] Rectangular area excavation completed. Total blocks mined: ${this.miningQueue.length}`);
+      if (this.isMining) {
+        job.cursor = job.total;
+        this.queueIndex = this.miningQueue.length;
+        await this._retryDeferred(job);
+      }
+
+      if (this.isMining) {
+        job.status = 'completed';
+        console.log(`[Mining] Rectangular area excavation completed. Total blocks mined: ${job.completed.size}`);
+        if (job.deferred.length > 0) {
+          console.log(`[Mining] ${job.deferred.length} blocks could not be reached and were left in place`);
+        }
+      }
       this.isMining = false;
+      await this.jobStore.save(job);
 
     } catch (error) {
       console.error('[Mining] Error during mining operation:', error.message);
       this.isMining = false;
+      job.status = 'paused';
+      job.pauseReason = 'error';
+      await this.jobStore.save(job);
       throw error;
     }
   }
 
+  /**
+   * Save job progress at most once per save interval
+   * @private
+   */
+  _checkpoint(job) {
+    if (Date.now() - this.lastSave >= this.saveInterval) {
+      this.lastSave = Date.now();
+      this.jobStore.save(job);
+    }
+  }
+
+  /**
+   * Select the excavation pattern used by mineRectangularArea
+   * @param {string} name - Pattern name (quarry, spiral, branch, tunnel)
+   * @param {Object} options - Pattern options, e.g. {spacing: 3, y: -58} or {size: '3x3'}
+   */
+  setPattern(name, options = {}) {
+    getPattern(name);
+    this.pattern = name;
+    this.patternOptions = options;
+    console.log(`[Mining] Pattern set to ${name}`);
+  }
+
   /**
    * Stop the current mining operation
    */
   stop() {
+    this.runToken++;
+    if (this.job && this.job.status !== 'completed') {
+      this.job.status = 'stopped';
+      this.jobStore.save(this.job);
+    }
+
     if (this.isMining) {
       this.isMining = false;
       this.miningQueue = [];
+      this.queueIndex = 0;
       console.log('[Mining] Mining operation stopped');
     }
+
+    this.descending = false;
   }
 
   /**
    * Pause the current mining operation
+   * @param {string} reason - Why the job was paused; only 'manual' pauses survive a restart as paused
    */
-  pause() {
+  pause(reason = 'manual') {
+    this.runToken++;
     if (this.isMining) {
       this.isMining = false;
-      console.log('[Mining] Mining operation paused');
+      this.job.status = 'paused';
+      this.job.pauseReason = reason;
+      this.jobStore.save(this.job);
+      console.log(`[Mining] Mining operation paused (${reason})`);
     }
   }
 
   /**
-   * Resume the paused mining operation
+   * Resume a paused or interrupted job from its saved cursor
+   * @param {string} jobId - Job to resume, defaults to the current or most recent resumable job
+   * @returns {Promise<boolean>} False if there was nothing to resume
    */
-  async resume() {
-    if (this.miningQueue.length > 0 && !this.isMining) {
-      this.isMining = true;
-      console.log('[Mining] Mining operation resumed');
+  async resume(jobId) {
+    if (this.isMining) {
+      console.log('[Mining] Mining is already in progress');
+      return false;
     }
+
+    const job = jobId
+      ? this.jobStore.load(jobId)
+      : (this.job && this.job.status === 'paused' ? this.job : this.jobStore.findResumable());
+
+    if (!job || job.status === 'completed' || job.status === 'stopped') {
+      console.log('[Mining] No job to resume');
+      return false;
+    }
+
+    this.job = job;
+    console.log(`[Mining] Mining operation resumed (${job.id} at ${job.cursor}/${job.total || '?'})`);
+    await this._runJob(job);
+    return true;
+  }
+
+  /**
+   * Find a job that was cut short by a crash, disconnect or safety interrupt
+   * @param {Object} options - {includeManual: true to also accept operator pauses}
+   * @returns {Object|null} Job or null if there is nothing to resume
+   */
+  findResumableJob(options = {}) {
+    return this.jobStore.findResumable(options);
+  }
+
+  /**
+   * Load a stored job
+   * @param {string} jobId - Job id
+   * @returns {Object|null} Job or null if it does not exist
+   */
+  loadJob(jobId) {
+    return this.jobStore.load(jobId);
+  }
+
+  /**
+   * List stored jobs
+   * @returns {Array} Job summaries, most recent first
+   */
+  listJobs() {
+    return this.jobStore.list();
   }
 
   /**
@@ -272,7 +807,26 @@ class MiningModule {
    * @param {Array} blockNames - Array of block names to ignore
    */
   addIgnoredBlocks(blockNames) {
-    this.ignoredBlocks = [...new Set([...this.ignoredBlocks, ...blockNames])];
+    this.runtimeIgnoredBlocks = [...new Set([...this.runtimeIgnoredBlocks, ...blockNames])];
+    this._updateIgnoredBlocks();
+  }
+
+  /**
+   * Replace the ignore list that comes from the config
+   * Blocks added with addIgnoredBlocks are kept
+   * @param {Array} blockNames - Block names from avoid_blocks
+   */
+  setConfigIgnoredBlocks(blockNames) {
+    this.configIgnoredBlocks = [...blockNames];
+    this._updateIgnoredBlocks();
+  }
+
+  /**
+   * Rebuild ignoredBlocks from the built-in, config and runtime lists
+   * @private
+   */
+  _updateIgnoredBlocks() {
+    this.ignoredBlocks = [...new Set([...ALWAYS_IGNORED, ...this.configIgnoredBlocks, ...this.runtimeIgnoredBlocks])];
     console.log(`[Mining] Ignored blocks updated: ${this.ignoredBlocks.join(', ')}`);
   }
 
@@ -284,9 +838,291 @@ class MiningModule {
     return {
       isMining: this.isMining,
       queuedBlocks: this.miningQueue.length,
+      queueIndex: this.queueIndex,
       blocksPerSecond: this.blocksPerSecond,
-      ignoredBlocks: this.ignoredBlocks
+      lastDigTime: this.lastDigTime,
+      pattern: this.pattern,
+      ignoredBlocks: this.ignoredBlocks,
+      job: this.job ? {
+        id: this.job.id,
+        status: this.job.status,
+        cursor: this.job.cursor,
+        total: this.job.total,
+        completed: this.job.completed.size,
+        deferred: this.job.deferred.length,
+        hazardZones: this.job.hazardZones.length
+      } : null,
+      targetOres: this.targetOres,
+      veinStats: this.veinStats
+    };
+  }
+
+  /**
+   * Top-down map of the current job area, one character per column:
+   * 'r' still has queued blocks, 'm' has been mined, '.' was never touched
+   * @returns {Object|null} {minX, minZ, width, depth, rows} with rows indexed by z, or null without a job
+   */
+  getAreaMap() {
+    if (!this.job) return null;
+
+    const { start, end } = this.job.area;
+    const minX = Math.min(start.x, end.x);
+    const minZ = Math.min(start.z, end.z);
+    const width = Math.abs(end.x - start.x) + 1;
+    const depth = Math.abs(end.z - start.z) + 1;
+    const cells = Array.from({ length: depth }, () => new Array(width).fill('.'));
+
+    const mark = (x, z, state) => {
+      const row = cells[z - minZ];
+      if (row && x - minX >= 0 && x - minX < width) row[x - minX] = state;
     };
+
+    for (const key of this.job.completed) {
+      const [x, , z] = key.split(',').map(Number);
+      mark(x, z, 'm');
+    }
+    for (let i = this.queueIndex; i < this.miningQueue.length; i++) {
+      mark(this.miningQueue[i].x, this.miningQueue[i].z, 'r');
+    }
+
+    return { minX, minZ, width, depth, rows: cells.map(row => row.join('')) };
+  }
+
+  /**
+   * Find target ores among the 26 neighbours of a position
+   * @private
+   */
+  _findExposedOres(pos) {
+    const ores = [];
+    for (const neighbor of this._getNeighbors26(this._toVec3(pos))) {
+      const block = this.bot.blockAt(neighbor);
+      const oreType = block && this.getOreType(block.name);
+      if (oreType && !this.ignoredBlocks.includes(block.name)) {
+        ores.push({ seed: neighbor, oreType, size: 0 });
+      }
+    }
+    return ores;
+  }
+
+  /**
+   * Get the 26 positions surrounding a block
+   * @private
+   */
+  _getNeighbors26(pos) {
+    const neighbors = [];
+    for (let x = -1; x <= 1; x++) {
+      for (let y = -1; y <= 1; y++) {
+        for (let z = -1; z <= 1; z++) {
+          if (x !== 0 || y !== 0 || z !== 0) {
+            neighbors.push(pos.offset(x, y, z));
+          }
+        }
+      }
+    }
+    return neighbors;
+  }
+
+  /**
+   * Record a mined vein in the per-ore statistics
+   * @private
+   */
+  _recordVein(oreType, size) {
+    if (size === 0) return;
+
+    const stats = this.veinStats[oreType] || { veins: 0, blocks: 0, largest: 0 };
+    stats.veins++;
+    stats.blocks += size;
+    stats.largest = Math.max(stats.largest, size);
+    this.veinStats[oreType] = stats;
+
+    console.log(`[Mining] Mined ${oreType} vein of ${size} blocks`);
+  }
+
+  /**
+   * Check reach and line of sight from a feet position to a block
+   * @private
+   */
+  _canReachFrom(feetPos, target) {
+    const eye = feetPos.offset(0, 1.62, 0);
+    const center = target.offset(0.5, 0.5, 0.5);
+    const distance = eye.distanceTo(center);
+
+    if (distance > this.reachDistance) return false;
+
+    // Step along the ray; any solid block before the target blocks the view
+    const step = center.minus(eye).scaled(0.1 / distance);
+    let point = eye.clone();
+    for (let travelled = 0; travelled < distance; travelled += 0.1) {
+      const cell = point.floored();
+      if (cell.equals(target)) return true;
+
+      const block = this.bot.blockAt(cell);
+      if (block && block.boundingBox === 'block') return false;
+      point = point.plus(step);
+    }
+
+    return true;
+  }
+
+  /**
+   * Dig the cells of one staircase step, refusing any next to a fluid
+   * @returns {Promise<string|null>} Why the step could not be dug, or null
+   * @private
+   */
+  async _digStaircaseCells(cells) {
+    for (const cell of cells) {
+      const fluid = this.safety && this.safety.assessDig(cell)
+        .find(hazard => hazard.type === 'lava' || hazard.type === 'water');
+      if (fluid) return fluid.reason;
+
+      // Sand or gravel may fall in after each dig
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const block = this.bot.blockAt(cell);
+        if (!block || block.boundingBox === 'empty') break;
+        if (!this.canHarvest(block)) return `cannot harvest ${block.name} at ${cell.x}, ${cell.y}, ${cell.z}`;
+
+        try {
+          await this.equipBestTool(block);
+          await this.bot.dig(block);
+        } catch (error) {
+          // Reported like any other blocked step so the route so far is still recorded
+          return `could not dig ${block.name} at ${cell.x}, ${cell.y}, ${cell.z}: ${error.message}`;
+        }
+      }
+
+      const block = this.bot.blockAt(cell);
+      if (block && block.boundingBox !== 'empty') {
+        return `${block.name} keeps filling ${cell.x}, ${cell.y}, ${cell.z}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cardinal direction the bot is facing
+   * @private
+   */
+  _facing() {
+    const x = -Math.sin(this.bot.entity.yaw);
+    const z = -Math.cos(this.bot.entity.yaw);
+    return Math.abs(x) > Math.abs(z)
+      ? { x: Math.sign(x), z: 0 }
+      : { x: 0, z: Math.sign(z) };
+  }
+
+  /**
+   * Apply the hazard policy to a block about to be dug, logging each hazard found
+   * @private
+   */
+  _checkDigHazards(blockPos) {
+    if (!this.safety) return true;
+
+    const where = `${blockPos.x}, ${blockPos.y}, ${blockPos.z}`;
+    let action = 'allow';
+
+    for (const hazard of this.safety.assessDig(this._toVec3(blockPos))) {
+      const hazardAction = this.hazardPolicy[hazard.type];
+      console.log(`[Mining] Dig hazard at ${where}: ${hazard.reason} (${hazardAction})`);
+      // skip outranks defer, which outranks allow
+      if (HAZARD_ACTIONS.indexOf(hazardAction) < HAZARD_ACTIONS.indexOf(action)) {
+        action = hazardAction;
+      }
+    }
+
+    if (action === 'defer') {
+      this._defer(blockPos);
+    }
+    return action === 'allow';
+  }
+
+  /**
+   * Seal fluid exposed by a dig; if that fails, back off and fence the area off for the job
+   * @private
+   */
+  async _sealExposedFluids(blockPos) {
+    const position = this._toVec3(blockPos);
+    const result = await this.sealer.sealAround(position);
+    if (result.success) return;
+
+    console.warn(`[Mining] Could not seal fluid at ${blockPos.x}, ${blockPos.y}, ${blockPos.z}: ${result.reason}`);
+    const fluid = result.remaining[0] || position;
+    await this.sealer.retreat(fluid);
+
+    await this.markHazardZone(fluid, this.sealer.zoneRadius);
+  }
+
+  /**
+   * Add an unreachable block to the job's retry list
+   * @private
+   */
+  _defer(blockPos) {
+    if (!this.job) return;
+
+    const key = this._key(blockPos);
+    if (!this.job.deferred.some(pos => this._key(pos) === key)) {
+      this.job.deferred.push({ x: blockPos.x, y: blockPos.y, z: blockPos.z });
+      console.log(`[Mining] Deferred ${key} for retry`);
+    }
+  }
+
+  /**
+   * Retry deferred blocks after the main queue, a few passes at most
+   * @private
+   */
+  async _retryDeferred(job) {
+    for (let pass = 1; pass <= this.maxRetryPasses && job.deferred.length > 0; pass++) {
+      const retry = job.deferred;
+      job.deferred = [];
+      console.log(`[Mining] Retrying ${retry.length} deferred blocks (pass ${pass})`);
+
+      for (let i = 0; i < retry.length; i++) {
+        if (!this.isMining) {
+          // Keep what was not attempted for the next resume
+          job.deferred.push(...retry.slice(i));
+          return;
+        }
+
+        const minedName = await this.mineBlock(retry[i]);
+        if (minedName) {
+          await this._pace();
+        }
+        await this.followVeins(retry[i], minedName);
+      }
+    }
+  }
+
+  /**
+   * Report a block that could not be dug
+   * @private
+   */
+  _emitDigFailed(reason, blockName, blockPos) {
+    if (this.events) {
+      this.events.emit('mining:digFailed', { reason, block: blockName, position: blockPos });
+    }
+  }
+
+  /**
+   * Position key used for completed positions
+   * @private
+   */
+  _key(pos) {
+    return `${pos.x},${pos.y},${pos.z}`;
+  }
+
+  /**
+   * Convert a plain {x, y, z} position to a Vec3
+   * @private
+   */
+  _toVec3(pos) {
+    return pos instanceof Vec3 ? pos : new Vec3(pos.x, pos.y, pos.z);
+  }
+
+  /**
+   * Wait out what is left of the per-block time budget after the dig itself
+   * @private
+   */
+  _pace() {
+    return this.delay(Math.max(0, 1000 / this.blocksPerSecond - this.lastDigTime));
   }
 
   /**
@@ -299,4 +1135,8 @@ class MiningModule {
   }
 }
 
+// Accepted dig_hazard_policy keys and values, for config validation
+MiningModule.HAZARD_TYPES = Object.keys(DEFAULT_HAZARD_POLICY);
+MiningModule.HAZARD_ACTIONS = HAZARD_ACTIONS;
+
 module.exports = MiningModule;
@@ -3,17 +3,30 @@
  * Handles autonomous navigation, pathfinding, and collision detection for mining operations
  */
 
-const Vec3 = require('vec3');
+const { Heap } = require('pathfinding');
 
 class Navigation {
-  constructor(bot) {
+  constructor(bot, options = {}) {
     this.bot = bot;
+    this.events = options.events || null; // receives navigation:finished
     this.goals = [];
     this.currentPath = [];
     this.pathfindingActive = false;
-    this.obstacleCheckInterval = 100; // ms
+    this.runToken = 0; // bumped by each goTo and stop, older loops then exit
     this.lastPathUpdate = 0;
-    this.pathUpdateInterval = 500; // ms
+    this.pathInvalidated = false;
+    this.maxSearchNodes = 10000;
+    this.maxReplans = 10;
+    this.maxDropDown = 3; // blocks, deeper falls cause damage
+    this.stepTimeout = 3000; // ms per path node
+    this.returnRoute = []; // waypoints from the base outwards, e.g. a dug staircase
+    this.routeStride = 4; // route waypoints skipped per goTo when following it back
+    this.costs = {
+      walk: 1,
+      jump: 1,
+      drop: 0.5,
+      liquid: 3
+    };
   }
 
   /**
@@ -25,211 +38,382 @@ class Navigation {
   async goTo(target, options = {}) {
     const {
       timeout = 60000,
-      checkObstacles = true,
       avoidLava = true,
       avoidWater = false,
       tolerance = 0.5
     } = options;
 
+    const startTime = Date.now();
     this.goals.push({
       position: target,
       tolerance,
-      timestamp: Date.now()
+      timestamp: startTime
     });
 
-    return this._navigatePath(target, { timeout, checkObstacles, avoidLava, avoidWater, tolerance });
+    const reached = await this._navigatePath(target, { timeout, avoidLava, avoidWater, tolerance });
+    if (this.events) {
+      this.events.emit('navigation:finished', { target, reached, duration: Date.now() - startTime });
+    }
+    return reached;
   }
 
   /**
-   * Internal pathfinding navigation
+   * Remember a route from the base outwards so the bot can walk it back
+   * Waypoints are appended when the new route starts where the old one ended
+   * @param {Array<Vec3>} waypoints - Positions in the order they were walked
+   */
+  recordReturnRoute(waypoints) {
+    const last = this.returnRoute[this.returnRoute.length - 1];
+    const continues = last && waypoints.length > 0 && last.distanceTo(waypoints[0]) <= 2;
+    this.returnRoute = continues ? this.returnRoute.concat(waypoints) : waypoints.slice();
+  }
+
+  /**
+   * Go back to the base, along the recorded route when the bot is near it
+   * @param {Vec3} base - Base position
+   * @param {Object} options - Navigation options passed to goTo
+   * @returns {Promise<boolean>} True if the base was reached
+   */
+  async returnToBase(base, options = {}) {
+    const position = this.bot.entity.position;
+    let index = -1;
+    let best = 16; // blocks; further than this the route is not worth joining
+
+    this.returnRoute.forEach((waypoint, i) => {
+      const distance = waypoint.distanceTo(position);
+      if (distance <= best) {
+        best = distance;
+        index = i;
+      }
+    });
+
+    // Walk the route backwards a few waypoints at a time, short paths plan quickly
+    for (let i = index; i >= 0; i -= this.routeStride) {
+      if (!(await this.goTo(this.returnRoute[i], { ...options, tolerance: 1 }))) break;
+    }
+
+    return this.goTo(base, options);
+  }
+
+  /**
+   * Plan a path over the voxel grid with A*
+   * @param {Vec3} start - Start position (feet)
+   * @param {Vec3} target - Target position (feet)
+   * @param {Object} options - {avoidLava, avoidWater, tolerance}
+   * @returns {Array<Vec3>|null} Block positions from start to goal, or null if unreachable
+   */
+  findPath(start, target, options = {}) {
+    const { avoidLava = true, avoidWater = false, tolerance = 0.5 } = options;
+    const startPos = start.floored();
+    const goal = target.floored();
+    const isGoal = (pos) => pos.distanceTo(goal) <= tolerance;
+
+    const open = new Heap((a, b) => a.f - b.f);
+    const nodes = new Map();
+    const startNode = { pos: startPos, g: 0, f: startPos.distanceTo(goal), parent: null, closed: false };
+    nodes.set(this._key(startPos), startNode);
+    open.push(startNode);
+
+    let expanded = 0;
+    while (!open.empty()) {
+      const node = open.pop();
+      if (node.closed) continue;
+      node.closed = true;
+
+      if (isGoal(node.pos)) {
+        return this._reconstructPath(node);
+      }
+
+      if (++expanded > this.maxSearchNodes) {
+        break;
+      }
+
+      for (const move of this._getNeighbors(node.pos, { avoidLava, avoidWater })) {
+        const key = this._key(move.pos);
+        const g = node.g + move.cost;
+        const existing = nodes.get(key);
+
+        if (existing && (existing.closed || existing.g <= g)) continue;
+
+        // Stale heap entries are skipped through the closed flag
+        const next = { pos: move.pos, g, f: g + move.pos.distanceTo(goal), parent: node, closed: false };
+        nodes.set(key, next);
+        open.push(next);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Internal pathfinding navigation: plan, follow, replan on changes
    * @private
    */
   async _navigatePath(target, options) {
     const startTime = Date.now();
-    const { timeout, checkObstacles, avoidLava, avoidWater, tolerance } = options;
+    const { timeout, tolerance } = options;
+    const goal = target.floored();
+    let replans = 0;
+
+    const token = ++this.runToken;
+    this.pathfindingActive = true;
+    this.pathInvalidated = false;
+    const onBlockUpdate = (oldBlock, newBlock) => this._onBlockUpdate(newBlock || oldBlock);
+    this.bot.on('blockUpdate', onBlockUpdate);
+
+    try {
+      while (this._isCurrent(token) && Date.now() - startTime < timeout) {
+        const currentPos = this.bot.entity.position.floored();
+
+        // Check if reached target
+        if (currentPos.distanceTo(goal) <= tolerance) {
+          return true;
+        }
 
-    while (Date.now() - startTime < timeout) {
-      const currentPos = this.bot.entity.position;
-      const distance = currentPos.distanceTo(target);
+        if (replans > this.maxReplans) {
+          console.log('[Navigation] Too many replans, giving up');
+          return false;
+        }
 
-      // Check if reached target
-      if (distance < tolerance) {
-        this.pathfindingActive = false;
-        return true;
-      }
+        const path = this.findPath(this.bot.entity.position, target, options);
+        this.lastPathUpdate = Date.now();
 
-      // Check for obstacles
-      if (checkObstacles && this._isObstacleAhead()) {
-        const avoidanceDir = this._calculateAvoidance();
-        if (avoidanceDir) {
-          await this._moveInDirection(avoidanceDir);
+        if (!path) {
+          console.log(`[Navigation] No path to ${goal.x}, ${goal.y}, ${goal.z}`);
+          return false;
         }
-      }
 
-      // Check dangerous blocks
-      if (avoidLava && this._isDangerousBlock('lava')) {
-        await this._avoidDanger('lava');
+        this.currentPath = path;
+        this.pathInvalidated = false;
+        await this._followPath(startTime + timeout, token);
+        replans++;
       }
-      if (avoidWater && this._isDangerousBlock('water')) {
-        await this._avoidDanger('water');
-      }
-
-      // Move towards target
-      await this._moveTowards(target);
 
-      await this._sleep(50);
+      return false;
+    } finally {
+      this.bot.removeListener('blockUpdate', onBlockUpdate);
+      // A newer goTo owns the path and controls now
+      if (token === this.runToken) {
+        this.pathfindingActive = false;
+        this.currentPath = [];
+        this._clearControls();
+      }
     }
+  }
 
-    return false;
+  /**
+   * Whether the navigation run holding this token is still the active one
+   * @private
+   */
+  _isCurrent(token) {
+    return this.pathfindingActive && token === this.runToken;
   }
 
   /**
-   * Move towards a target position
+   * Walk the current path node by node
    * @private
+   * @returns {Promise<boolean>} True if the end of the path was reached
    */
-  async _moveTowards(target) {
-    const pos = this.bot.entity.position;
-    const direction = target.minus(pos).normalize();
+  async _followPath(deadline, token) {
+    // The first node is the block the bot is standing in
+    while (this.currentPath.length > 1) {
+      if (!this._isCurrent(token) || this.pathInvalidated || Date.now() > deadline) {
+        return false;
+      }
 
-    // Horizontal movement
-    this.bot.setControlState('forward', true);
+      const node = this.currentPath[1];
+      if (!this._canMove(node)) {
+        this.pathInvalidated = true;
+        return false;
+      }
 
-    // Handle vertical movement
-    if (target.y > pos.y + 0.5) {
-      this.bot.setControlState('jump', true);
-      await this._sleep(50);
-      this.bot.setControlState('jump', false);
-    } else if (target.y < pos.y - 0.5) {
-      // Try to move down (jump off edge if needed)
-      const nextPos = pos.offset(0, -1, 0);
-      if (this._canStand(nextPos)) {
-        // Safe to move down
+      const reached = await this._stepTo(node, Math.min(deadline, Date.now() + this.stepTimeout), token);
+      if (!reached || !this._isCurrent(token)) {
+        return false;
       }
+
+      this.currentPath.shift();
     }
 
-    // Strafe if needed
-    const yaw = Math.atan2(-direction.x, -direction.z);
-    this.bot.look(yaw, 0);
+    this._clearControls();
+    return true;
   }
 
   /**
-   * Check if there's an obstacle ahead
+   * Move onto an adjacent path node
    * @private
    */
-  _isObstacleAhead() {
-    const pos = this.bot.entity.position;
-    const lookDir = this.bot.entity.velocity.normalize();
-
-    // Check blocks in front
-    for (let i = 1; i <= 3; i++) {
-      const checkPos = pos.offset(
-        lookDir.x * i,
-        0,
-        lookDir.z * i
-      );
-
-      const block = this.bot.blockAt(checkPos);
-      if (block && this._isSolidBlock(block)) {
+  async _stepTo(node, deadline, token) {
+    const center = node.offset(0.5, 0, 0.5);
+
+    while (Date.now() < deadline) {
+      if (!this._isCurrent(token) || this.pathInvalidated) return false;
+
+      const pos = this.bot.entity.position;
+      const dx = center.x - pos.x;
+      const dz = center.z - pos.z;
+
+      if (Math.sqrt(dx * dx + dz * dz) < 0.3 && Math.abs(pos.y - node.y) < 0.5) {
+        this._clearControls();
         return true;
       }
+
+      await this.bot.look(Math.atan2(-dx, -dz), 0, true);
+      if (!this._isCurrent(token)) return false;
+      this.bot.setControlState('forward', true);
+      this.bot.setControlState('jump', node.y > pos.y + 0.5);
+
+      await this._sleep(50);
     }
 
+    if (this._isCurrent(token)) this._clearControls();
     return false;
   }
 
   /**
-   * Calculate avoidance direction when obstacle is detected
+   * Get reachable neighbouring positions with movement costs
    * @private
    */
-  _calculateAvoidance() {
-    const pos = this.bot.entity.position;
+  _getNeighbors(pos, { avoidLava, avoidWater }) {
+    const moves = [];
     const directions = [
-      { dx: 1, dz: 0, name: 'right' },
-      { dx: -1, dz: 0, name: 'left' },
-      { dx: 0, dz: 1, name: 'forward' },
-      { dx: 0, dz: -1, name: 'back' }
+      { dx: 1, dz: 0 },
+      { dx: -1, dz: 0 },
+      { dx: 0, dz: 1 },
+      { dx: 0, dz: -1 },
+      { dx: 1, dz: 1 },
+      { dx: 1, dz: -1 },
+      { dx: -1, dz: 1 },
+      { dx: -1, dz: -1 }
     ];
 
-    // Try directions in order of preference
-    for (const dir of directions) {
-      const checkPos = pos.offset(dir.dx, 0, dir.dz);
-      if (this._canMove(checkPos)) {
-        return dir;
+    for (const { dx, dz } of directions) {
+      const diagonal = dx !== 0 && dz !== 0;
+      const flat = pos.offset(dx, 0, dz);
+
+      if (diagonal) {
+        // No corner cutting: both orthogonal cells must be open
+        if (!this._isOpen(pos.offset(dx, 0, 0)) || !this._isOpen(pos.offset(0, 0, dz))) continue;
+        if (this._canMove(flat) && this._isAllowed(flat, avoidLava, avoidWater)) {
+          moves.push({ pos: flat, cost: Math.SQRT2 * this.costs.walk + this._liquidCost(flat) });
+        }
+        continue;
+      }
+
+      // Walk
+      if (this._canMove(flat)) {
+        if (this._isAllowed(flat, avoidLava, avoidWater)) {
+          moves.push({ pos: flat, cost: this.costs.walk + this._liquidCost(flat) });
+        }
+        continue;
+      }
+
+      // Jump up one block
+      const up = pos.offset(dx, 1, dz);
+      if (this._isOpen(pos.offset(0, 2, 0)) && this._canMove(up)) {
+        if (this._isAllowed(up, avoidLava, avoidWater)) {
+          moves.push({ pos: up, cost: this.costs.walk + this.costs.jump + this._liquidCost(up) });
+        }
+        continue;
+      }
+
+      // Drop down, only through open air with headroom to step off the edge
+      if (!this._isOpen(flat) || !this._isOpen(flat.offset(0, 1, 0))) continue;
+      for (let depth = 1; depth <= this.maxDropDown; depth++) {
+        const down = pos.offset(dx, -depth, dz);
+        if (this._canMove(down)) {
+          if (this._isAllowed(down, avoidLava, avoidWater)) {
+            moves.push({ pos: down, cost: this.costs.walk + this.costs.drop * depth + this._liquidCost(down) });
+          }
+          break;
+        }
+        if (!this._isOpen(down)) break;
       }
     }
 
-    return null;
+    return moves;
   }
 
   /**
-   * Move in a specific direction
+   * Check liquid restrictions for a position the bot would occupy
    * @private
    */
-  async _moveInDirection(direction) {
-    const { dx, dz } = direction;
-
-    if (dx > 0) this.bot.setControlState('right', true);
-    if (dx < 0) this.bot.setControlState('left', true);
-    if (dz > 0) this.bot.setControlState('forward', true);
-    if (dz < 0) this.bot.setControlState('back', true);
+  _isAllowed(pos, avoidLava, avoidWater) {
+    for (let y = -1; y < 2; y++) {
+      const block = this.bot.blockAt(pos.offset(0, y, 0));
+      const name = block ? block.name : '';
+      if (avoidLava && name.includes('lava')) return false;
+      if (avoidWater && y >= 0 && name.includes('water')) return false;
+    }
+    return true;
+  }
 
-    await this._sleep(100);
+  /**
+   * Extra cost for moving through liquid
+   * @private
+   */
+  _liquidCost(pos) {
+    const block = this.bot.blockAt(pos);
+    return block && block.name.includes('water') ? this.costs.liquid : 0;
+  }
 
-    this.bot.setControlState('right', false);
-    this.bot.setControlState('left', false);
-    this.bot.setControlState('forward', false);
-    this.bot.setControlState('back', false);
+  /**
+   * Check that a single block can be passed through
+   * @private
+   */
+  _isOpen(pos) {
+    const block = this.bot.blockAt(pos);
+    return !!block && !this._isSolidBlock(block) && !block.name.includes('lava');
   }
 
   /**
-   * Check if a position contains dangerous liquid
+   * Mark the current path stale when a block on it changes
    * @private
    */
-  _isDangerousBlock(blockType) {
-    const pos = this.bot.entity.position;
-
-    // Check current position and surrounding blocks
-    for (let x = -1; x <= 1; x++) {
-      for (let y = -1; y <= 2; y++) {
-        for (let z = -1; z <= 1; z++) {
-          const checkPos = pos.offset(x, y, z);
-          const block = this.bot.blockAt(checkPos);
-
-          if (block && block.type) {
-            const blockName = block.name || '';
-            if (blockName.includes(blockType)) {
-              return true;
-            }
-          }
-        }
-      }
-    }
+  _onBlockUpdate(block) {
+    if (!block || this.pathInvalidated) return;
 
-    return false;
+    const changed = block.position;
+    const affected = this.currentPath.some(node =>
+      node.x === changed.x && node.z === changed.z &&
+      changed.y >= node.y - 1 && changed.y <= node.y + 1
+    );
+
+    if (affected) {
+      this.pathInvalidated = true;
+    }
   }
 
   /**
-   * Avoid dangerous areas
+   * Build the node list from the goal back to the start
    * @private
    */
-  async _avoidDanger(dangerType) {
-    const pos = this.bot.entity.position;
-    const directions = [
-      { dx: 1, dz: 0 },
-      { dx: -1, dz: 0 },
-      { dx: 0, dz: 1 },
-      { dx: 0, dz: -1 }
-    ];
+  _reconstructPath(node) {
+    const path = [];
+    for (let current = node; current; current = current.parent) {
+      path.unshift(current.pos);
+    }
+    return path;
+  }
 
-    for (const dir of directions) {
-      const checkPos = pos.offset(dir.dx, 0, dir.dz);
-      const block = this.bot.blockAt(checkPos);
+  /**
+   * Position key for node lookups
+   * @private
+   */
+  _key(pos) {
+    return `${pos.x},${pos.y},${pos.z}`;
+  }
 
-      if (!block || !block.name.includes(dangerType)) {
-        await this._moveInDirection(dir);
-        return;
-      }
-    }
+  /**
+   * Release all movement controls
+   * @private
+   */
+  _clearControls() {
+    this.bot.setControlState('forward', false);
+    this.bot.setControlState('back', false);
+    this.bot.setControlState('left', false);
+    this.bot.setControlState('right', false);
+    this.bot.setControlState('jump', false);
   }
 
   /**
@@ -255,12 +439,21 @@ class Navigation {
 
     if (!block || !belowBlock) return false;
 
-    const isPassable = ['air', 'water', 'lava'].some(b => block.name.includes(b));
+    const isPassable = !this._isSolidBlock(block);
     const isSolid = this._isSolidBlock(belowBlock);
 
     return isPassable && isSolid;
   }
 
+  /**
+   * Check if the bot fits at a position with solid ground below
+   * @param {Vec3} pos - Feet position
+   * @returns {boolean} True if the bot can stand there
+   */
+  canStandAt(pos) {
+    return this._canMove(pos.floored());
+  }
+
   /**
    * Check if bot can move to a position
    * @private
@@ -281,13 +474,11 @@ class Navigation {
    * Stop all movement
    */
   stop() {
+    this.runToken++;
     this.pathfindingActive = false;
     this.goals = [];
-    this.bot.setControlState('forward', false);
-    this.bot.setControlState('back', false);
-    this.bot.setControlState('left', false);
-    this.bot.setControlState('right', false);
-    this.bot.setControlState('jump', false);
+    this.currentPath = [];
+    this._clearControls();
   }
 
   /**
@@ -297,6 +488,9 @@ class Navigation {
     return {
       isNavigating: this.pathfindingActive,
       goalCount: this.goals.length,
+      returnRouteLength: this.returnRoute.length,
+      pathLength: this.currentPath.length,
+      nextNode: this.currentPath[1] || null,
       currentPosition: this.bot.entity.position,
       goals: this.goals
     };
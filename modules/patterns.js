@@ -0,0 +1,243 @@
+/**
+ * Excavation Patterns - Dig order strategies for MiningModule
+ * Each pattern turns a start/end pair into an ordered list of block positions,
+ * each with the position the bot should stand at while digging it
+ */
+
+const SLICE_HEIGHT = 2; // Bot is two blocks tall
+
+/**
+ * Normalize two corners into min/max bounds
+ * @param {Object} startPos - Starting position {x, y, z}
+ * @param {Object} endPos - Ending position {x, y, z}
+ * @returns {Object} Bounds {minX, maxX, minY, maxY, minZ, maxZ}
+ */
+function getBounds(startPos, endPos) {
+  return {
+    minX: Math.min(startPos.x, endPos.x),
+    maxX: Math.max(startPos.x, endPos.x),
+    minY: Math.min(startPos.y, endPos.y),
+    maxY: Math.max(startPos.y, endPos.y),
+    minZ: Math.min(startPos.z, endPos.z),
+    maxZ: Math.max(startPos.z, endPos.z)
+  };
+}
+
+/**
+ * Build dig entries for a horizontal slice of columns
+ * Each cell is dug from top to bottom while standing in an adjacent,
+ * already cleared cell (preferring the previous one) at slice floor level
+ * @param {Array} cells - Ordered columns [{x, z}]
+ * @param {number} top - Highest Y of the slice
+ * @param {number} floor - Lowest Y of the slice (feet level)
+ * @param {Object} entry - Standing position for the first cell {x, y, z}
+ * @returns {Array} Dig entries {x, y, z, standAt}
+ */
+function digSlice(cells, top, floor, entry) {
+  const entries = [];
+  const cleared = new Set();
+
+  cells.forEach((cell, index) => {
+    let standAt = entry;
+    const previous = cells[index - 1];
+
+    if (previous && isAdjacent(previous, cell)) {
+      standAt = { x: previous.x, y: floor, z: previous.z };
+    } else {
+      const neighbor = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+        .map(([dx, dz]) => ({ x: cell.x + dx, z: cell.z + dz }))
+        .find(n => cleared.has(`${n.x},${n.z}`));
+      if (neighbor) {
+        standAt = { x: neighbor.x, y: floor, z: neighbor.z };
+      }
+    }
+
+    for (let y = top; y >= floor; y--) {
+      entries.push({ x: cell.x, y, z: cell.z, standAt });
+    }
+    cleared.add(`${cell.x},${cell.z}`);
+  });
+
+  return entries;
+}
+
+/**
+ * Check if two columns share a face
+ * @private
+ */
+function isAdjacent(a, b) {
+  return Math.abs(a.x - b.x) + Math.abs(a.z - b.z) === 1;
+}
+
+/**
+ * Columns of the bounds in boustrophedon (back and forth) order
+ * @private
+ */
+function serpentineCells(bounds) {
+  const cells = [];
+  let forward = true;
+
+  for (let x = bounds.minX; x <= bounds.maxX; x++) {
+    for (let i = 0; i <= bounds.maxZ - bounds.minZ; i++) {
+      const z = forward ? bounds.minZ + i : bounds.maxZ - i;
+      cells.push({ x, z });
+    }
+    forward = !forward;
+  }
+
+  return cells;
+}
+
+/**
+ * Columns of the bounds in a square spiral from the centre outwards
+ * @private
+ */
+function spiralCells(bounds) {
+  const cells = [];
+  const total = (bounds.maxX - bounds.minX + 1) * (bounds.maxZ - bounds.minZ + 1);
+  const directions = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+  const inBounds = (x, z) =>
+    x >= bounds.minX && x <= bounds.maxX && z >= bounds.minZ && z <= bounds.maxZ;
+
+  let x = Math.floor((bounds.minX + bounds.maxX) / 2);
+  let z = Math.floor((bounds.minZ + bounds.maxZ) / 2);
+  let steps = 1;
+  let dir = 0;
+  cells.push({ x, z });
+
+  while (cells.length < total) {
+    // Two legs per step length: 1, 1, 2, 2, 3, 3, ...
+    for (let leg = 0; leg < 2 && cells.length < total; leg++) {
+      const [dx, dz] = directions[dir];
+      for (let i = 0; i < steps; i++) {
+        x += dx;
+        z += dz;
+        if (inBounds(x, z)) cells.push({ x, z });
+      }
+      dir = (dir + 1) % 4;
+    }
+    steps++;
+  }
+
+  return cells;
+}
+
+/**
+ * Dig an area slice by slice from the top, visiting columns in the given order
+ * @private
+ */
+function layeredPlan(bounds, orderCells) {
+  const cells = orderCells(bounds);
+  const entries = [];
+
+  for (let top = bounds.maxY; top >= bounds.minY; top -= SLICE_HEIGHT) {
+    const floor = Math.max(top - SLICE_HEIGHT + 1, bounds.minY);
+    // Enter from the floor of the slice above, next to the first column
+    const entryCell = cells[1] || { x: cells[0].x - 1, z: cells[0].z };
+    const entry = { x: entryCell.x, y: top + 1, z: entryCell.z };
+    entries.push(...digSlice(cells, top, floor, entry));
+  }
+
+  return entries;
+}
+
+const PATTERNS = {
+  quarry: {
+    description: 'Layer by layer from the top down, back and forth across each layer',
+    plan(startPos, endPos) {
+      return layeredPlan(getBounds(startPos, endPos), serpentineCells);
+    }
+  },
+
+  spiral: {
+    description: 'Layer by layer from the top down, spiralling outwards from the centre',
+    plan(startPos, endPos) {
+      return layeredPlan(getBounds(startPos, endPos), spiralCells);
+    }
+  },
+
+  branch: {
+    description: 'Strip mining: a trunk along X with branches along Z every spacing blocks',
+    plan(startPos, endPos, options = {}) {
+      const bounds = getBounds(startPos, endPos);
+      const y = options.y !== undefined ? options.y : bounds.minY;
+      const spacing = options.spacing !== undefined ? options.spacing : 3;
+      const cells = [];
+
+      for (let x = bounds.minX; x <= bounds.maxX; x++) {
+        cells.push({ x, z: bounds.minZ });
+        if ((x - bounds.minX) % (spacing + 1) === 0) {
+          for (let z = bounds.minZ + 1; z <= bounds.maxZ; z++) {
+            cells.push({ x, z });
+          }
+        }
+      }
+
+      const entry = { x: bounds.minX - 1, y, z: bounds.minZ };
+      return digSlice(cells, y + SLICE_HEIGHT - 1, y, entry);
+    }
+  },
+
+  tunnel: {
+    description: 'Straight tunnel from start towards end along the longer horizontal axis (1x2 or 3x3)',
+    plan(startPos, endPos, options = {}) {
+      const [width, height] = String(options.size || '1x2').split('x').map(Number);
+      if (!(width >= 1) || !(height >= 1)) {
+        throw new Error(`Invalid tunnel size: ${options.size} (expected WIDTHxHEIGHT, e.g. 1x2 or 3x3)`);
+      }
+      const alongX = Math.abs(endPos.x - startPos.x) >= Math.abs(endPos.z - startPos.z);
+      const length = Math.abs(alongX ? endPos.x - startPos.x : endPos.z - startPos.z);
+      const sign = (alongX ? endPos.x - startPos.x : endPos.z - startPos.z) < 0 ? -1 : 1;
+      const half = Math.floor(width / 2);
+      // Centre column first so the bot can step in before widening
+      const lateral = [0];
+      for (let i = 1; i <= half; i++) lateral.push(-i, i);
+
+      const at = (step, side, y) => alongX
+        ? { x: startPos.x + step * sign, y, z: startPos.z + side }
+        : { x: startPos.x + side, y, z: startPos.z + step * sign };
+
+      const entries = [];
+      for (let step = 0; step <= length; step++) {
+        const standAt = at(step - 1, 0, startPos.y);
+        for (const side of lateral) {
+          for (let y = startPos.y + height - 1; y >= startPos.y; y--) {
+            entries.push({ ...at(step, side, y), standAt });
+          }
+        }
+      }
+
+      return entries;
+    }
+  }
+};
+
+/**
+ * Look up a pattern by name
+ * @param {string} name - Pattern name
+ * @returns {Object} Pattern with description and plan(startPos, endPos, options)
+ */
+function getPattern(name) {
+  const pattern = PATTERNS[name];
+  if (!pattern) {
+    throw new Error(`Unknown mining pattern: ${name} (available: ${Object.keys(PATTERNS).join(', ')})`);
+  }
+  return pattern;
+}
+
+/**
+ * List available patterns
+ * @returns {Array} Array of {name, description}
+ */
+function listPatterns() {
+  return Object.entries(PATTERNS).map(([name, pattern]) => ({
+    name,
+    description: pattern.description
+  }));
+}
+
+module.exports = {
+  getBounds,
+  getPattern,
+  listPatterns
+};
@@ -5,9 +5,48 @@
 
 const Vec3 = require('vec3');
 
+// Blocks that fall when the block under them is removed
+const GRAVITY_BLOCKS = [
+  'sand',
+  'red_sand',
+  'gravel',
+  'suspicious_sand',
+  'suspicious_gravel',
+  'anvil',
+  'chipped_anvil',
+  'damaged_anvil',
+  'pointed_dripstone'
+];
+
+// Blocks used to pillar up or wall in when there is no way out
+const SHELTER_BLOCKS = [
+  'cobblestone',
+  'cobbled_deepslate',
+  'stone',
+  'deepslate',
+  'dirt',
+  'netherrack',
+  'andesite',
+  'diorite',
+  'granite',
+  'tuff'
+];
+
+// Entity types used for mobs across registry versions
+const MOB_TYPES = ['mob', 'hostile', 'animal', 'passive', 'water_creature', 'ambient'];
+
+const NEIGHBOR_OFFSETS = [
+  [1, 0, 0], [-1, 0, 0],
+  [0, 1, 0], [0, -1, 0],
+  [0, 0, 1], [0, 0, -1]
+];
+
 class SafetyChecker {
-  constructor(bot) {
+  constructor(bot, { navigation = null } = {}) {
     this.bot = bot;
+    this.navigation = navigation;
+    this.escapeRadius = 8; // blocks searched for an escape position
+    this.escapeAttempts = 3; // best candidates tried before sheltering in place
     this.dangerousBlocks = ['lava', 'flowing_lava'];
     this.waterBlocks = ['water', 'flowing_water'];
     this.safeDistance = 5; // Minimum safe distance from hazards
@@ -27,6 +66,20 @@ class SafetyChecker {
     return this.dangerousBlocks.includes(block.name);
   }
 
+  /**
+   * Check if lava can flow out of a position, i.e. a neighbour is open space
+   * Lava walled in by solid blocks is no danger until something is dug
+   * @param {Vec3} position - Lava block position
+   * @returns {boolean} True if the lava touches an open, dry block
+   */
+  isLavaExposed(position) {
+    return NEIGHBOR_OFFSETS.some(([dx, dy, dz]) => {
+      const block = this.bot.world.getBlock(position.offset(dx, dy, dz));
+      return Boolean(block) && block.boundingBox === 'empty' &&
+        !this.dangerousBlocks.includes(block.name) && !this.waterBlocks.includes(block.name);
+    });
+  }
+
   /**
    * Check if a position contains water
    * @param {Vec3} position - Block position to check
@@ -79,21 +132,23 @@ class SafetyChecker {
     ];
 
     for (const entity of Object.values(this.bot.entities)) {
-      if (!entity || entity.type !== 'mob') continue;
+      if (!entity || entity === this.bot.entity || !MOB_TYPES.includes(entity.type)) continue;
       
       const distance = this.bot.player.entity.position.distanceTo(entity.position);
       
-      if (hostileTypes.includes(entity.name)) {
+      if (hostileTypes.includes(entity.name) || entity.type === 'hostile') {
         hostileMobs.push({
           name: entity.name,
           position: entity.position,
-          distance: distance
+          distance: distance,
+          entity: entity
         });
       } else {
         peacefulMobs.push({
           name: entity.name,
           position: entity.position,
-          distance: distance
+          distance: distance,
+          entity: entity
         });
       }
     }
@@ -222,26 +277,220 @@ class SafetyChecker {
   }
 
   /**
-   * Emergency escape: move away from dangerous position
+   * Check what breaking a block would expose the bot to
+   * Fluids are checked on all six faces; gravity blocks only above, since
+   * only those fall into the hole
+   * @param {Vec3} position - Block about to be dug
+   * @returns {Array} Hazards [{type: 'lava'|'water'|'gravity'|'drop', position, reason}]
+   */
+  assessDig(position) {
+    const hazards = [];
+
+    for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+      const neighbor = position.offset(dx, dy, dz);
+      const block = this.bot.world.getBlock(neighbor);
+      if (!block) continue;
+
+      if (this.dangerousBlocks.includes(block.name)) {
+        hazards.push({ type: 'lava', position: neighbor, reason: `lava at ${neighbor.x}, ${neighbor.y}, ${neighbor.z}` });
+      } else if (this.waterBlocks.includes(block.name)) {
+        hazards.push({ type: 'water', position: neighbor, reason: `water at ${neighbor.x}, ${neighbor.y}, ${neighbor.z}` });
+      } else if (dy === 1 && this.isGravityBlock(block)) {
+        hazards.push({ type: 'gravity', position: neighbor, reason: `${block.name} above would fall` });
+      }
+    }
+
+    // Digging out the floor is only a problem when there is a drop under it
+    const feet = this.bot.entity.position.floored();
+    if (position.equals(feet.offset(0, -1, 0))) {
+      const below = this.bot.world.getBlock(position.offset(0, -1, 0));
+      if (!below || below.boundingBox !== 'block') {
+        hazards.push({ type: 'drop', position, reason: 'block under the bot\'s feet with a drop below' });
+      }
+    }
+
+    return hazards;
+  }
+
+  /**
+   * Check if a block falls when unsupported
+   * @param {Object} block - Block to check
+   * @returns {boolean} True for sand, gravel, concrete powder and the like
+   */
+  isGravityBlock(block) {
+    return GRAVITY_BLOCKS.includes(block.name) || block.name.endsWith('_concrete_powder');
+  }
+
+  /**
+   * Emergency escape: move to the safest reachable spot nearby, or
+   * pillar up / block in where the bot stands if there is none
    * @param {Vec3} dangerousPosition - Position to escape from
    * @returns {Promise<boolean>} True if escape was successful
    */
   async emergencyEscape(dangerousPosition) {
     try {
-      // Move up and away
-      const escapeVector = this.bot.player.entity.position.offset(0, 2, 0);
-      await this.bot.pathfinder.goto(new (require('vec3'))(
-        escapeVector.x + 5,
-        escapeVector.y,
-        escapeVector.z + 5
-      ));
-      return true;
+      const hazard = dangerousPosition ? new Vec3(dangerousPosition.x, dangerousPosition.y, dangerousPosition.z) : null;
+
+      if (this.navigation) {
+        const candidates = this.findEscapePositions(hazard).slice(0, this.escapeAttempts);
+        for (const candidate of candidates) {
+          if (await this.navigation.goTo(candidate.position, { avoidLava: true, tolerance: 0, timeout: 10000 })) {
+            console.log(`[Safety] Escaped to ${candidate.position.x}, ${candidate.position.y}, ${candidate.position.z}`);
+            return true;
+          }
+        }
+      }
+
+      console.warn('[Safety] No escape route, sheltering in place');
+      return (await this.pillarUp()) || (await this.blockIn());
     } catch (error) {
-      console.error('Emergency escape failed:', error);
+      console.error(`[Safety] Emergency escape failed: ${error.message}`);
       return false;
     }
   }
 
+  /**
+   * Find standable positions around the bot, safest first
+   * Scored by distance from lava, the given hazard and hostile mobs, with a
+   * small penalty for how far the bot has to walk
+   * @param {Vec3|null} hazard - Extra position to keep away from
+   * @returns {Array} Candidates {position, score}
+   */
+  findEscapePositions(hazard = null) {
+    if (!this.navigation) return [];
+
+    const origin = this.bot.entity.position.floored();
+    const radius = this.escapeRadius;
+    const lava = this.scanAreaForHazards(origin, radius).lava;
+    if (hazard) lava.push(hazard);
+    const mobs = this.detectNearbyMobs().hostile.map(mob => mob.position);
+
+    const nearest = (pos, points) => points.length === 0
+      ? radius * 2
+      : Math.min(...points.map(point => point.distanceTo(pos)));
+    const currentScore = Math.min(nearest(origin, lava), radius) + Math.min(nearest(origin, mobs), radius);
+
+    const candidates = [];
+    for (let x = -radius; x <= radius; x++) {
+      for (let y = -3; y <= 3; y++) {
+        for (let z = -radius; z <= radius; z++) {
+          const pos = origin.offset(x, y, z);
+          if (!this.navigation.canStandAt(pos)) continue;
+          if (!this.isLiquidFree(pos) || !this.isLiquidFree(pos.offset(0, 1, 0))) continue;
+
+          const score = Math.min(nearest(pos, lava), radius) +
+            Math.min(nearest(pos, mobs), radius) -
+            0.2 * origin.distanceTo(pos);
+          if (score > currentScore) {
+            candidates.push({ position: pos, score });
+          }
+        }
+      }
+    }
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Jump and place blocks underneath to climb out of reach
+   * @param {number} height - Blocks to climb
+   * @returns {Promise<boolean>} True if the bot climbed the full height
+   */
+  async pillarUp(height = 3) {
+    for (let i = 0; i < height; i++) {
+      const feet = this.bot.entity.position.floored();
+      const item = this._findShelterBlock();
+      const above = this.bot.blockAt(feet.offset(0, 2, 0));
+      const ground = this.bot.blockAt(feet.offset(0, -1, 0));
+
+      if (!item || !above || above.boundingBox !== 'empty' || !ground || ground.boundingBox !== 'block') {
+        if (i > 0) console.log(`[Safety] Pillared up ${i} blocks`);
+        return false;
+      }
+
+      await this.bot.equip(item, 'hand');
+      await this.bot.look(this.bot.entity.yaw, -Math.PI / 2, true);
+      this.bot.setControlState('jump', true);
+      try {
+        // Place at the top of the jump, once the feet have cleared the block
+        const deadline = Date.now() + 1000;
+        while (this.bot.entity.position.y < feet.y + 1 && Date.now() < deadline) {
+          await this.delay(50);
+        }
+        await this.bot.placeBlock(ground, new Vec3(0, 1, 0));
+      } finally {
+        this.bot.setControlState('jump', false);
+      }
+    }
+
+    console.log(`[Safety] Pillared up ${height} blocks`);
+    return true;
+  }
+
+  /**
+   * Wall off every open side around the bot's feet and head
+   * @returns {Promise<boolean>} True if the bot is fully enclosed
+   */
+  async blockIn() {
+    const feet = this.bot.entity.position.floored();
+    const cells = [];
+    for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      cells.push(feet.offset(dx, 0, dz), feet.offset(dx, 1, dz));
+    }
+    cells.push(feet.offset(0, 2, 0), feet.offset(0, -1, 0));
+
+    let enclosed = true;
+    for (const cell of cells) {
+      const block = this.bot.blockAt(cell);
+      if (block && block.boundingBox === 'block') continue;
+
+      const item = this._findShelterBlock();
+      if (!item || !(await this._placeAt(cell, item))) {
+        enclosed = false;
+      }
+    }
+
+    console.log(`[Safety] ${enclosed ? 'Blocked in' : 'Could not fully block in'} at ${feet.x}, ${feet.y}, ${feet.z}`);
+    return enclosed;
+  }
+
+  /**
+   * Place a block into a cell against any solid neighbour
+   * @private
+   */
+  async _placeAt(cell, item) {
+    for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+      const reference = this.bot.blockAt(cell.offset(dx, dy, dz));
+      if (!reference || reference.boundingBox !== 'block') continue;
+
+      try {
+        await this.bot.equip(item, 'hand');
+        await this.bot.placeBlock(reference, cell.minus(reference.position));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * First inventory block usable for pillaring or walling in
+   * @private
+   */
+  _findShelterBlock() {
+    return this.bot.inventory.items().find(item => SHELTER_BLOCKS.includes(item.name)) || null;
+  }
+
+  /**
+   * Utility function to create a delay
+   * @param {number} ms - Milliseconds to delay
+   * @returns {Promise}
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   /**
    * Set safe distance threshold
    * @param {number} distance - Distance in blocks
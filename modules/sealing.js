@@ -0,0 +1,160 @@
+/**
+ * Sealing Module - Plugs lava and water exposed by digging
+ * Fills fluid cells next to the work face with a filler block, re-checks,
+ * and falls back to retreating when the fluid cannot be contained
+ */
+
+const NEIGHBOR_OFFSETS = [
+  [1, 0, 0], [-1, 0, 0],
+  [0, 1, 0], [0, -1, 0],
+  [0, 0, 1], [0, 0, -1]
+];
+
+class FluidSealer {
+  constructor(bot, { inventory, safety, navigation }) {
+    this.bot = bot;
+    this.inventory = inventory;
+    this.safety = safety;
+    this.navigation = navigation;
+    this.enabled = true;
+    this.fillers = ['cobblestone', 'cobbled_deepslate', 'stone', 'deepslate', 'netherrack', 'dirt'];
+    this.maxPasses = 3; // seal, re-check, repeat while fluid keeps flowing in
+    this.zoneRadius = 3; // blocks around an unsealed fluid left out of the job
+    this.retreatDistance = 6;
+  }
+
+  /**
+   * Apply sealing settings
+   * @param {Object} settings - {enabled, fillers, zoneRadius}
+   */
+  configure(settings = {}) {
+    if (settings.enabled !== undefined) this.enabled = settings.enabled;
+    if (settings.fillers) this.fillers = settings.fillers;
+    if (settings.zoneRadius !== undefined) this.zoneRadius = settings.zoneRadius;
+  }
+
+  /**
+   * Find fluid in a cell and its six neighbours
+   * @param {Vec3} position - Cell that was just dug
+   * @returns {Array} Fluid cell positions, neighbours before the cell itself
+   */
+  findExposedFluids(position) {
+    const cells = NEIGHBOR_OFFSETS.map(([dx, dy, dz]) => position.offset(dx, dy, dz));
+    // Sources sit in the neighbours; the dug cell only holds what flowed in
+    cells.push(position);
+    return cells.filter(cell => !this.safety.isLiquidFree(cell));
+  }
+
+  /**
+   * Get the first configured filler block in the inventory
+   * @returns {Object|null} Inventory item or null if there is none
+   */
+  getFiller() {
+    for (const name of this.fillers) {
+      const item = this.inventory.findItem(name);
+      if (item) return item;
+    }
+    return null;
+  }
+
+  /**
+   * Fill every fluid cell around a dug block until none are left
+   * @param {Vec3} position - Cell that was just dug
+   * @returns {Promise<Object>} {success, sealed, remaining, reason}
+   */
+  async sealAround(position) {
+    const result = { success: false, sealed: 0, remaining: [], reason: null };
+
+    for (let pass = 0; pass < this.maxPasses; pass++) {
+      const fluids = this.findExposedFluids(position);
+      if (fluids.length === 0) {
+        result.success = true;
+        return result;
+      }
+
+      for (const cell of fluids) {
+        const filler = this.getFiller();
+        if (!filler) {
+          result.remaining = this.findExposedFluids(position);
+          result.reason = 'no filler blocks';
+          return result;
+        }
+
+        if (await this.sealCell(cell, filler)) {
+          result.sealed++;
+        }
+      }
+    }
+
+    result.remaining = this.findExposedFluids(position);
+    result.success = result.remaining.length === 0;
+    if (!result.success) {
+      result.reason = 'fluid still flowing after sealing';
+    }
+    return result;
+  }
+
+  /**
+   * Place a filler block into a fluid cell
+   * @param {Vec3} cell - Fluid cell
+   * @param {Object} filler - Inventory item to place
+   * @returns {Promise<boolean>} True if a block was placed
+   */
+  async sealCell(cell, filler) {
+    // The bot can't place a block into its own body
+    const feet = this.bot.entity.position.floored();
+    if (cell.equals(feet) || cell.equals(feet.offset(0, 1, 0))) return false;
+
+    for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+      const reference = this.bot.blockAt(cell.offset(dx, dy, dz));
+      if (!reference || reference.boundingBox !== 'block') continue;
+
+      try {
+        await this.bot.equip(filler, 'hand');
+        await this.bot.placeBlock(reference, cell.minus(reference.position));
+        console.log(`[Sealing] Sealed fluid at ${cell.x}, ${cell.y}, ${cell.z} with ${filler.name}`);
+        return true;
+      } catch (error) {
+        console.warn(`[Sealing] Failed to seal ${cell.x}, ${cell.y}, ${cell.z}: ${error.message}`);
+        return false;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Walk away from a fluid that could not be sealed
+   * @param {Vec3} fluidPos - Fluid position to move away from
+   * @returns {Promise<boolean>} True if the bot got clear
+   */
+  async retreat(fluidPos) {
+    const position = this.bot.entity.position;
+    const away = position.minus(fluidPos);
+    away.y = 0;
+
+    const length = Math.sqrt(away.x * away.x + away.z * away.z) || 1;
+    const target = position.offset(
+      (away.x / length) * this.retreatDistance,
+      0,
+      (away.z / length) * this.retreatDistance
+    ).floored();
+
+    console.warn(`[Sealing] Retreating from fluid at ${fluidPos.x}, ${fluidPos.y}, ${fluidPos.z}`);
+    return this.navigation.goTo(target, { avoidLava: true, tolerance: 3 });
+  }
+
+  /**
+   * Get sealing status
+   * @returns {Object} Current sealing settings and filler supply
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      fillers: this.fillers,
+      fillerCount: this.fillers.reduce((total, name) => total + this.inventory.getItemCount(name), 0)
+    };
+  }
+}
+
+module.exports = FluidSealer;
@@ -0,0 +1,196 @@
+/**
+ * Smelting Module - Furnaces at the base
+ * Loads raw ores and sand with fuel from the inventory, collects finished
+ * output on later visits and tracks which furnaces are still working
+ */
+
+const Vec3 = require('vec3');
+
+// Input item -> what the furnace turns it into
+const SMELTABLE = {
+  raw_iron: 'iron_ingot',
+  raw_gold: 'gold_ingot',
+  raw_copper: 'copper_ingot',
+  sand: 'glass'
+};
+
+// Fuel item -> items smelted per unit
+const FUELS = {
+  coal: 8,
+  charcoal: 8
+};
+
+const SMELT_TIME = 10000; // ms per item in a regular furnace
+const STACK_SIZE = 64;
+
+class SmeltingManager {
+  constructor(bot, { navigation, inventory }) {
+    this.bot = bot;
+    this.navigation = navigation;
+    this.inventory = inventory;
+    this.enabled = false;
+    this.furnaces = [];
+    this.state = new Map(); // furnace key -> {input, count, readyAt}
+  }
+
+  /**
+   * Apply smelting settings
+   * @param {Object} settings - {enabled, furnaces}
+   */
+  configure(settings = {}) {
+    if (settings.enabled !== undefined) this.enabled = settings.enabled;
+    if (settings.furnaces) {
+      this.furnaces = settings.furnaces.map(pos => new Vec3(pos.x, pos.y, pos.z));
+    }
+  }
+
+  /**
+   * Check if the inventory holds anything worth putting in a furnace
+   * @returns {boolean} True if there is input and fuel
+   */
+  hasSmeltables() {
+    return this._getInputs().length > 0 && this._getFuel() !== null;
+  }
+
+  /**
+   * Check if a furnace is expected to still be smelting
+   * @param {Vec3} position - Furnace position
+   * @returns {boolean} True if the furnace is busy
+   */
+  isBusy(position) {
+    const state = this.state.get(this._key(position));
+    return !!state && state.readyAt > Date.now();
+  }
+
+  /**
+   * Visit every furnace: take finished output, then load input and fuel
+   * @returns {Promise<Object>} {collected, loaded} totals by item name
+   */
+  async visitFurnaces() {
+    const result = { collected: {}, loaded: {} };
+
+    for (const position of this.furnaces) {
+      try {
+        await this.tendFurnace(position, result);
+      } catch (error) {
+        console.error(`[Smelting] Furnace at ${position.x}, ${position.y}, ${position.z} failed: ${error.message}`);
+      }
+    }
+
+    const collected = Object.values(result.collected).reduce((a, b) => a + b, 0);
+    const loaded = Object.values(result.loaded).reduce((a, b) => a + b, 0);
+    console.log(`[Smelting] Collected ${collected} items, loaded ${loaded} items`);
+    return result;
+  }
+
+  /**
+   * Collect from and load a single furnace
+   * @param {Vec3} position - Furnace position
+   * @param {Object} result - Running {collected, loaded} totals, updated in place
+   * @returns {Promise<boolean>} False if the furnace could not be reached
+   */
+  async tendFurnace(position, result = { collected: {}, loaded: {} }) {
+    if (!(await this.navigation.goTo(position, { tolerance: 2 }))) {
+      console.warn(`[Smelting] Cannot reach furnace at ${position.x}, ${position.y}, ${position.z}`);
+      return false;
+    }
+
+    const block = this.bot.blockAt(position);
+    if (!block || block.name !== 'furnace') {
+      console.warn(`[Smelting] No furnace at ${position.x}, ${position.y}, ${position.z}`);
+      return false;
+    }
+
+    const furnace = await this.bot.openFurnace(block);
+    try {
+      const output = furnace.outputItem();
+      if (output) {
+        await furnace.takeOutput();
+        result.collected[output.name] = (result.collected[output.name] || 0) + output.count;
+      }
+
+      const loaded = await this._load(furnace);
+      if (loaded) {
+        result.loaded[loaded.name] = (result.loaded[loaded.name] || 0) + loaded.count;
+      }
+
+      const input = furnace.inputItem();
+      this.state.set(this._key(position), input
+        ? { input: input.name, count: input.count, readyAt: Date.now() + input.count * SMELT_TIME }
+        : { input: null, count: 0, readyAt: 0 });
+
+      return true;
+    } finally {
+      furnace.close();
+    }
+  }
+
+  /**
+   * Get smelting status
+   * @returns {Object} Furnaces with their busy state
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      furnaces: this.furnaces.map(position => {
+        const state = this.state.get(this._key(position)) || { input: null, count: 0, readyAt: 0 };
+        return { position, busy: this.isBusy(position), input: state.input, count: state.count, readyAt: state.readyAt };
+      })
+    };
+  }
+
+  /**
+   * Top up the input slot and add enough fuel to smelt it
+   * @private
+   */
+  async _load(furnace) {
+    const current = furnace.inputItem();
+    const input = this._getInputs().find(item => !current || current.type === item.type);
+    const fuelName = this._getFuel();
+    if (!input || !fuelName) return null;
+
+    const count = Math.min(
+      STACK_SIZE - (current ? current.count : 0),
+      this.inventory.getItemCount(input.name)
+    );
+    if (count <= 0) return null;
+
+    const fuel = furnace.fuelItem();
+    const fuelItem = this.inventory.findItem(fuelName);
+    const queued = (current ? current.count : 0) + count;
+    const fuelNeeded = Math.ceil(queued / FUELS[fuelName]) - (fuel && fuel.type === fuelItem.type ? fuel.count : 0);
+
+    await furnace.putInput(input.type, null, count);
+    if (fuelNeeded > 0 && (!fuel || fuel.type === fuelItem.type)) {
+      await furnace.putFuel(fuelItem.type, null, Math.min(fuelNeeded, this.inventory.getItemCount(fuelName)));
+    }
+
+    return { name: input.name, count };
+  }
+
+  /**
+   * Inventory items that can be smelted
+   * @private
+   */
+  _getInputs() {
+    return this.bot.inventory.items().filter(item => SMELTABLE[item.name]);
+  }
+
+  /**
+   * First fuel available in the inventory
+   * @private
+   */
+  _getFuel() {
+    return Object.keys(FUELS).find(name => this.inventory.getItemCount(name) > 0) || null;
+  }
+
+  /**
+   * Map key for a furnace position
+   * @private
+   */
+  _key(position) {
+    return `${position.x},${position.y},${position.z}`;
+  }
+}
+
+module.exports = SmeltingManager;
@@ -0,0 +1,216 @@
+/**
+ * Survival Module - Eating, healing and retreating on low health
+ * Keeps hunger topped up with the best safe food, waits for natural
+ * regeneration and walks to a safe spot when health gets critical
+ */
+
+const Vec3 = require('vec3');
+
+// Foods that poison, cause hunger or teleport the bot
+const HARMFUL_FOODS = [
+  'rotten_flesh',
+  'spider_eye',
+  'poisonous_potato',
+  'pufferfish',
+  'chicken',
+  'suspicious_stew',
+  'chorus_fruit'
+];
+
+const REGEN_FOOD_LEVEL = 18; // health only regenerates at or above this
+const MAX_HEALTH = 20;
+
+// Settings a configure call falls back to when the config leaves them out
+const DEFAULT_SETTINGS = {
+  hungerThreshold: 14, // eat at or below this food level
+  healBelow: 12, // pause mining to heal below this health
+  healTarget: 18, // resume once health is back to this
+  minFoodItems: 4 // needed to start a job
+};
+
+class SurvivalManager {
+  constructor(bot, { inventory, navigation }) {
+    this.bot = bot;
+    this.inventory = inventory;
+    this.navigation = navigation;
+    this.hungerThreshold = DEFAULT_SETTINGS.hungerThreshold;
+    this.healBelow = DEFAULT_SETTINGS.healBelow;
+    this.healTarget = DEFAULT_SETTINGS.healTarget;
+    this.healTimeout = 120000; // ms to wait for regeneration
+    this.minFoodItems = DEFAULT_SETTINGS.minFoodItems;
+    this.retryCooldown = 60000; // ms after a recovery that could not heal
+    this.lastFailedRecovery = 0;
+    this.safeSpot = null;
+    this.eating = false;
+    this.outOfFoodWarned = false;
+  }
+
+  /**
+   * Apply survival settings on top of the defaults, so a setting left out goes back to its default
+   * @param {Object} settings - {hungerThreshold, healBelow, healTarget, minFoodItems, safeSpot}
+   */
+  configure(settings = {}) {
+    const setting = key => (settings[key] !== undefined ? settings[key] : DEFAULT_SETTINGS[key]);
+    this.hungerThreshold = setting('hungerThreshold');
+    this.healBelow = setting('healBelow');
+    this.healTarget = setting('healTarget');
+    this.minFoodItems = setting('minFoodItems');
+    this.safeSpot = settings.safeSpot ? new Vec3(settings.safeSpot.x, settings.safeSpot.y, settings.safeSpot.z) : null;
+  }
+
+  /**
+   * Get safe food in the inventory, best first
+   * @returns {Array} Inventory items
+   */
+  getFoods() {
+    const foods = this.bot.registry.foodsByName;
+    return this.bot.inventory.items()
+      .filter(item => foods[item.name] && !HARMFUL_FOODS.includes(item.name))
+      .sort((a, b) => foods[b.name].effectiveQuality - foods[a.name].effectiveQuality);
+  }
+
+  /**
+   * Count safe food items in the inventory
+   * @returns {number} Number of food items
+   */
+  getFoodCount() {
+    return this.getFoods().reduce((total, item) => total + item.count, 0);
+  }
+
+  /**
+   * Check if there is enough food to start a job
+   * @returns {boolean} True if the minimum is met
+   */
+  hasMinimumFood() {
+    return this.getFoodCount() >= this.minFoodItems;
+  }
+
+  /**
+   * Check if the bot is hungry and has something to eat
+   * @returns {boolean} True if it should eat
+   */
+  needsToEat() {
+    return this.bot.food <= this.hungerThreshold && this.getFoods().length > 0;
+  }
+
+  /**
+   * Check if mining should pause for eating or healing
+   * @returns {boolean} True if the bot needs to recover
+   */
+  needsRecovery() {
+    if (Date.now() - this.lastFailedRecovery < this.retryCooldown) return this.needsToEat();
+    return this.needsToEat() || this.bot.health < this.healBelow;
+  }
+
+  /**
+   * Eat the best safe food in the inventory
+   * @returns {Promise<string|null>} Name of the food eaten, or null
+   */
+  async eat() {
+    if (this.eating) return null;
+
+    const food = this.getFoods()[0];
+    if (!food) return null;
+
+    this.eating = true;
+    try {
+      await this.bot.equip(food, 'hand');
+      await this.bot.consume();
+      console.log(`[Survival] Ate ${food.name} (food ${this.bot.food}/20)`);
+      return food.name;
+    } catch (error) {
+      console.warn(`[Survival] Failed to eat ${food.name}: ${error.message}`);
+      return null;
+    } finally {
+      this.eating = false;
+    }
+  }
+
+  /**
+   * Eat until full enough to regenerate, then wait for health to return
+   * @returns {Promise<boolean>} True if health reached the heal target
+   */
+  async recover() {
+    const deadline = Date.now() + this.healTimeout;
+
+    while (Date.now() < deadline) {
+      const wantsFood = this.bot.food <= this.hungerThreshold ||
+        (this.bot.health < this.healTarget && this.bot.food < REGEN_FOOD_LEVEL);
+
+      if (wantsFood && this.getFoods().length > 0) {
+        if (!(await this.eat())) await this.delay(1000);
+        continue;
+      }
+
+      if (this.bot.health >= Math.min(this.healTarget, MAX_HEALTH)) return true;
+      if (this.bot.food < REGEN_FOOD_LEVEL) {
+        console.warn('[Survival] Too hungry to heal and no food left');
+        this.lastFailedRecovery = Date.now();
+        return false;
+      }
+
+      await this.delay(1000);
+    }
+
+    console.warn(`[Survival] Still at ${this.bot.health} health after ${this.healTimeout / 1000}s`);
+    this.lastFailedRecovery = Date.now();
+    return false;
+  }
+
+  /**
+   * Walk to the safe spot, or the given fallback such as the base
+   * @param {Vec3|null} fallback - Where to go without a configured safe spot
+   * @returns {Promise<boolean>} True if the bot got there
+   */
+  async retreat(fallback = null) {
+    const target = this.safeSpot || fallback;
+    if (!target) {
+      console.warn('[Survival] No safe spot or base configured, healing in place');
+      return false;
+    }
+
+    console.warn(`[Survival] Retreating to ${target.x}, ${target.y}, ${target.z}`);
+    return this.navigation.goTo(target, { avoidLava: true, tolerance: 2 });
+  }
+
+  /**
+   * Check whether the bot has just run out of food
+   * @returns {boolean} True once each time the food supply hits zero
+   */
+  checkOutOfFood() {
+    if (this.getFoodCount() > 0) {
+      this.outOfFoodWarned = false;
+      return false;
+    }
+    if (this.outOfFoodWarned) return false;
+
+    this.outOfFoodWarned = true;
+    return true;
+  }
+
+  /**
+   * Get survival status
+   * @returns {Object} Health, food and settings
+   */
+  getStatus() {
+    return {
+      health: this.bot.health,
+      food: this.bot.food,
+      foodItems: this.getFoodCount(),
+      minFoodItems: this.minFoodItems,
+      eating: this.eating,
+      safeSpot: this.safeSpot
+    };
+  }
+
+  /**
+   * Utility function to create a delay
+   * @param {number} ms - Milliseconds to delay
+   * @returns {Promise}
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = SurvivalManager;
@@ -0,0 +1,93 @@
+/**
+ * Tool Selection Module
+ * Picks tools from the block's harvest tools and material in the server's
+ * registry and estimates dig times for the items the bot holds
+ */
+
+class ToolSelector {
+  constructor(bot) {
+    this.bot = bot;
+  }
+
+  /**
+   * Get the names of the tools that can harvest a block
+   * @param {Object} block - Block to check
+   * @returns {Array|null} Tool names, or null if the block drops by hand
+   */
+  getHarvestToolNames(block) {
+    if (!block.harvestTools) return null;
+
+    return Object.keys(block.harvestTools)
+      .map(id => this.bot.registry.items[id])
+      .filter(Boolean)
+      .map(item => item.name);
+  }
+
+  /**
+   * Estimate how long digging a block takes with an item
+   * @param {Object} block - Block to dig
+   * @param {Object|null} item - Inventory item, or null for bare hand
+   * @returns {number} Dig time in milliseconds (Infinity if unbreakable)
+   */
+  getDigTime(block, item) {
+    const entity = this.bot.entity;
+    let enchantments = item ? item.enchants : [];
+
+    // Aqua Affinity on the helmet counts too
+    const helmet = this.bot.inventory.slots[this.bot.getEquipmentDestSlot('head')];
+    if (helmet) {
+      enchantments = enchantments.concat(helmet.enchants);
+    }
+
+    return block.digTime(
+      item ? item.type : null,
+      this.bot.game.gameMode === 'creative',
+      entity.isInWater,
+      !entity.onGround,
+      enchantments,
+      entity.effects
+    );
+  }
+
+  /**
+   * Find the fastest item in the inventory that can harvest a block
+   * @param {Object} block - Block to dig
+   * @returns {Object|null} {item, digTime} with item null for bare hand, or null if nothing can harvest it
+   */
+  findBestTool(block) {
+    const candidates = [null, ...this.bot.inventory.items()]
+      .filter(item => block.canHarvest(item ? item.type : null));
+
+    let best = null;
+    for (const item of candidates) {
+      const digTime = this.getDigTime(block, item);
+      if (digTime === Infinity) continue;
+
+      // Prefer keeping tools on ties so hand-breakable blocks don't wear them
+      if (!best || digTime < best.digTime || (digTime === best.digTime && !item)) {
+        best = { item, digTime };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Equip the fastest tool for a block
+   * @param {Object} block - Block to dig
+   * @returns {Promise<Object|null>} {item, digTime}, or null if the block can't be harvested
+   */
+  async equipBestTool(block) {
+    const best = this.findBestTool(block);
+    if (!best) return null;
+
+    const held = this.bot.heldItem;
+    if (best.item && (!held || held.slot !== best.item.slot)) {
+      await this.bot.equip(best.item, 'hand');
+    }
+
+    return best;
+  }
+}
+
+module.exports = ToolSelector;
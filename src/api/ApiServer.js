@@ -0,0 +1,437 @@
+/**
+ * API Server
+ * Local HTTP control API for the MiningBot: status and module reads,
+ * job control and mining settings, behind a bearer token
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const Vec3 = require('vec3');
+const { listPatterns } = require('../../modules/patterns');
+const Logger = require('../utils/Logger');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class ApiServer {
+  constructor(miningBot, eventManager, settings = {}) {
+    this.miningBot = miningBot;
+    this.events = eventManager;
+    this.host = settings.host || 'localhost';
+    this.port = settings.port || 3000;
+    this.token = settings.token || null;
+    this.logger = new Logger('API');
+    this.server = null;
+    this.routes = [];
+
+    this._registerRoutes();
+  }
+
+  /**
+   * Point the API at a new MiningBot, e.g. after a reconnect
+   * @param {MiningBot} miningBot - Current bot
+   * @param {EventManager} eventManager - Its event bus
+   */
+  attach(miningBot, eventManager) {
+    this.miningBot = miningBot;
+    this.events = eventManager;
+  }
+
+  /**
+   * Add a route
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path; segments starting with : match any value, e.g. /api/jobs/:id
+   * @param {Function} handler - (request, body, url, params) => response body, or a raw handler when options.raw is set
+   * @param {Object} options - {auth: false to skip the token check, raw: true to write the response itself}
+   */
+  route(method, path, handler, options = {}) {
+    this.routes.push({ method, path, handler, auth: options.auth !== false, raw: options.raw === true });
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<boolean>} True if the server is up
+   */
+  async start() {
+    if (this.server) return true;
+    if (!this.token) {
+      this.logger.error('Not starting the API: set api.token or API_TOKEN first');
+      return false;
+    }
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, resolve);
+      });
+    } catch (error) {
+      this.logger.error(`Could not listen on ${this.host}:${this.port}: ${error.message}`);
+      this.server = null;
+      return false;
+    }
+
+    this.logger.success(`Listening on http://${this.host}:${this.port}`);
+    return true;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Check a request's bearer token
+   * @param {Object} req - Incoming request
+   * @returns {boolean} True if the token matches
+   */
+  isAuthorized(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    return Boolean(match) && this.checkToken(match[1]);
+  }
+
+  /**
+   * Compare a token with the configured one in constant time
+   * @param {string} token - Token supplied by a client
+   * @returns {boolean} True if it matches
+   */
+  checkToken(token) {
+    if (!token || !this.token) return false;
+
+    const given = Buffer.from(token);
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Routes for the bot and its modules
+   * @private
+   */
+  _registerRoutes() {
+    this.route('GET', '/api/status', () => this._botStatus());
+    this.route('GET', '/api/mining', () => this.miningBot.mining.getStatus());
+    this.route('GET', '/api/navigation', () => this._requireSpawned().navigation.getStatus());
+    this.route('GET', '/api/inventory', () => this.miningBot.inventory.getInventorySummary());
+    this.route('GET', '/api/hazards', (req, body, url) => this._hazards(url.searchParams.get('radius')));
+    this.route('GET', '/api/jobs', () => this.miningBot.mining.listJobs());
+
+    this.route('POST', '/api/jobs', (req, body) => this._startJob(body));
+    this.route('POST', '/api/job/pause', () => this._controlJob('pause'));
+    this.route('POST', '/api/job/resume', () => this._controlJob('resume'));
+    this.route('POST', '/api/job/stop', () => this._controlJob('stop'));
+    this.route('POST', '/api/jobs/:id/resume', (req, body, url, params) => this._resumeSaved(params.id));
+
+    this.route('PUT', '/api/mining/speed', (req, body) => this._setSpeed(body));
+    this.route('POST', '/api/mining/ignored', (req, body) => this._addIgnored(body));
+  }
+
+  /**
+   * Dispatch a request and write a JSON response
+   * @private
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      const candidates = this.routes.filter(route => this._matchPath(route.path, url.pathname));
+      if (candidates.length === 0) throw new ApiError(404, 'not_found', `No route for ${url.pathname}`);
+
+      const route = candidates.find(candidate => candidate.method === req.method);
+      if (!route) {
+        res.setHeader('Allow', candidates.map(candidate => candidate.method).join(', '));
+        throw new ApiError(405, 'method_not_allowed', `${req.method} is not supported on ${url.pathname}`);
+      }
+
+      if (route.auth && !this.isAuthorized(req)) {
+        throw new ApiError(401, 'unauthorized', 'Missing or invalid bearer token');
+      }
+
+      if (route.raw) {
+        await route.handler(req, res, url);
+        return;
+      }
+
+      const body = ['POST', 'PUT'].includes(req.method) ? await this._readBody(req) : null;
+      const result = await route.handler(req, body, url, this._matchPath(route.path, url.pathname));
+      this._send(res, 200, result === undefined ? { ok: true } : result);
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        this.logger.error(`${req.method} ${url.pathname} failed: ${error.message}`);
+      }
+      const status = error.status || 500;
+      const code = error.code || 'internal_error';
+      this._send(res, status, { error: { code, message: error.message } });
+    }
+  }
+
+  /**
+   * Match a request path against a route path
+   * @returns {Object|null} Values of the :name segments, or null if the path does not match
+   * @private
+   */
+  _matchPath(routePath, pathname) {
+    const expected = routePath.split('/');
+    const actual = pathname.split('/');
+    if (expected.length !== actual.length) return null;
+
+    const params = {};
+    for (let i = 0; i < expected.length; i++) {
+      if (expected[i].startsWith(':') && actual[i]) {
+        try {
+          params[expected[i].slice(1)] = decodeURIComponent(actual[i]);
+        } catch (error) {
+          return null; // malformed escape
+        }
+      } else if (expected[i] !== actual[i]) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @private
+   */
+  async _readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) throw new ApiError(413, 'body_too_large', `Body exceeds ${MAX_BODY_BYTES} bytes`);
+      chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) return {};
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw new ApiError(400, 'invalid_json', `Body is not valid JSON: ${error.message}`);
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ApiError(400, 'invalid_body', 'Body must be a JSON object');
+    }
+    return body;
+  }
+
+  /**
+   * Write a JSON response
+   * @private
+   */
+  _send(res, status, body) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Connection, position and vitals
+   * @private
+   */
+  _botStatus() {
+    const { bot } = this.miningBot;
+    const entity = bot.entity;
+
+    return {
+      connected: Boolean(entity),
+      username: bot.username,
+      position: entity ? entity.position : null,
+      health: bot.health,
+      food: bot.food,
+      job: this.miningBot.currentJob,
+      interruptReason: this.miningBot.interruptReason
+    };
+  }
+
+  /**
+   * Hazard scan around the bot
+   * @private
+   */
+  _hazards(radiusParam) {
+    const radius = radiusParam === null ? 3 : Number(radiusParam);
+    if (!Number.isInteger(radius) || radius < 1 || radius > 8) {
+      throw new ApiError(400, 'invalid_radius', 'radius must be an integer from 1 to 8');
+    }
+
+    this._requireSpawned();
+    const position = this.miningBot.bot.entity.position.floored();
+    const hazards = this.miningBot.safety.scanAreaForHazards(position, radius);
+    return {
+      position,
+      radius,
+      isSafe: hazards.isSafe,
+      lava: hazards.lava,
+      water: hazards.water,
+      mobs: hazards.mobs.map(({ name, position: mobPosition, distance }) => ({ name, position: mobPosition, distance }))
+    };
+  }
+
+  /**
+   * Start an area job from {start, end, pattern, spacing, y, size}
+   * @private
+   */
+  _startJob(body) {
+    const startPos = this._position(body.start, 'start');
+    const endPos = this._position(body.end, 'end');
+    const options = this._patternOptions(body);
+
+    if (this.miningBot.currentJob) {
+      throw new ApiError(409, 'job_running', 'A mining job is already running');
+    }
+    if (!this.miningBot.startMining(startPos, endPos, options)) {
+      throw new ApiError(409, 'job_refused', 'The job was refused, check the bot\'s food supply');
+    }
+    return { ok: true, job: this.miningBot.currentJob };
+  }
+
+  /**
+   * Pause, resume or stop the current job; resume falls back to the newest saved job
+   * @private
+   */
+  _controlJob(action) {
+    const miningBot = this.miningBot;
+    if (!miningBot.currentJob && action === 'resume') {
+      // After a restart or reconnect, pick up the newest saved job
+      if (!miningBot.resumeJob()) {
+        throw new ApiError(409, 'no_job', 'No saved job to resume, or not enough food');
+      }
+      return { ok: true, job: miningBot.currentJob };
+    }
+    if (!miningBot.currentJob) throw new ApiError(409, 'no_job', 'No mining job is running');
+
+    if (action === 'pause') {
+      if (miningBot.interruptReason) {
+        throw new ApiError(409, 'already_paused', `Already paused (${miningBot.interruptReason})`);
+      }
+      miningBot.pauseMining();
+    } else if (action === 'resume') {
+      if (!miningBot.interruptReason) throw new ApiError(409, 'not_paused', 'The job is not paused');
+      miningBot.resumeMining();
+    } else {
+      miningBot.stopMining();
+    }
+    return { ok: true, interruptReason: miningBot.interruptReason };
+  }
+
+  /**
+   * Resume a saved job from its cursor when no job is running
+   * @private
+   */
+  _resumeSaved(jobId) {
+    if (this.miningBot.currentJob) {
+      throw new ApiError(409, 'job_running', 'A mining job is already running');
+    }
+
+    const job = this.miningBot.mining.loadJob(jobId);
+    if (!job) throw new ApiError(404, 'unknown_job', `No job ${jobId}`);
+    if (job.status === 'completed' || job.status === 'stopped') {
+      throw new ApiError(409, 'job_finished', `Job ${jobId} is ${job.status}`);
+    }
+
+    if (!this.miningBot.resumeJob(jobId)) {
+      throw new ApiError(409, 'job_refused', 'The job was refused, check the bot\'s food supply');
+    }
+    return { ok: true, job: this.miningBot.currentJob };
+  }
+
+  /**
+   * Set blocks mined per second from {speed}
+   * @private
+   */
+  _setSpeed({ speed }) {
+    if (typeof speed !== 'number' || speed < 0.1 || speed > 10) {
+      throw new ApiError(400, 'invalid_speed', 'speed must be a number from 0.1 to 10');
+    }
+    this.miningBot.mining.setMiningSpeed(speed);
+    return { ok: true, blocksPerSecond: this.miningBot.mining.blocksPerSecond };
+  }
+
+  /**
+   * Add block names from {blocks} to the ignore list
+   * @private
+   */
+  _addIgnored({ blocks }) {
+    this._requireSpawned();
+    if (!Array.isArray(blocks) || blocks.length === 0) {
+      throw new ApiError(400, 'invalid_blocks', 'blocks must be a non-empty list of block names');
+    }
+
+    const names = blocks.map(name => String(name).replace(/^minecraft:/, '').toLowerCase());
+    const unknown = names.filter(name => !this.miningBot.bot.registry.blocksByName[name]);
+    if (unknown.length > 0) {
+      throw new ApiError(400, 'unknown_block', `Unknown blocks: ${unknown.join(', ')}`);
+    }
+
+    this.miningBot.mining.addIgnoredBlocks(names);
+    return { ok: true, ignoredBlocks: this.miningBot.mining.ignoredBlocks };
+  }
+
+  /**
+   * Check the pattern fields of a job body; the job is planned after the response is sent
+   * @private
+   */
+  _patternOptions({ pattern, spacing, y, size }) {
+    const patterns = listPatterns().map(entry => entry.name);
+    if (pattern !== undefined && !patterns.includes(pattern)) {
+      throw new ApiError(400, 'invalid_pattern', `pattern must be one of ${patterns.join(', ')}`);
+    }
+    if (spacing !== undefined && !(Number.isInteger(spacing) && spacing >= 0)) {
+      throw new ApiError(400, 'invalid_spacing', 'spacing must be a non-negative integer');
+    }
+    if (y !== undefined && !Number.isInteger(y)) {
+      throw new ApiError(400, 'invalid_y', 'y must be an integer');
+    }
+    if (size !== undefined && !(typeof size === 'string' && /^[1-9]\d*x[1-9]\d*$/.test(size))) {
+      throw new ApiError(400, 'invalid_size', 'size must be WIDTHxHEIGHT, e.g. 1x2 or 3x3');
+    }
+
+    const options = { pattern, spacing, y, size };
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+    return options;
+  }
+
+  /**
+   * Refuse requests that need the bot in the world, e.g. before the first spawn or during a reconnect
+   * @returns {MiningBot} The current MiningBot
+   * @private
+   */
+  _requireSpawned() {
+    const { bot } = this.miningBot;
+    if (!bot.entity || !bot.registry) throw new ApiError(503, 'not_spawned', 'The bot has not spawned yet');
+    return this.miningBot;
+  }
+
+  /**
+   * Parse a {x, y, z} body field
+   * @private
+   */
+  _position(value, field) {
+    if (!value || !['x', 'y', 'z'].every(axis => Number.isInteger(value[axis]))) {
+      throw new ApiError(400, 'invalid_position', `${field} must be {x, y, z} with integer coordinates`);
+    }
+    return new Vec3(value.x, value.y, value.z);
+  }
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,247 @@
+/**
+ * Dashboard
+ * Self-hosted web dashboard on the API server: serves the page from
+ * src/api/public and streams telemetry and the log tail over a WebSocket
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { WebSocketServer, WebSocket } = require('ws');
+const Logger = require('../utils/Logger');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// Request path -> file and content type
+const ASSETS = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/dashboard.css': { file: 'dashboard.css', type: 'text/css; charset=utf-8' },
+  '/dashboard.js': { file: 'dashboard.js', type: 'application/javascript; charset=utf-8' }
+};
+
+const ACTIONS = ['start', 'stop', 'pause', 'resume'];
+const MAP_EVERY = 5; // telemetry ticks between area map refreshes
+const LOG_TAIL = 100;
+
+class Dashboard {
+  constructor(apiServer, miningBot, eventManager, settings = {}) {
+    this.api = apiServer;
+    this.miningBot = miningBot;
+    this.events = null;
+    this.interval = settings.interval || 1000; // ms between telemetry frames
+    this.logger = new Logger('Dashboard');
+    this.wss = null;
+    this.timer = null;
+    this.ticks = 0;
+    this.minedTimes = []; // timestamps of blocks broken in the last minute
+    this.unsubscribeLog = null;
+    this.onBlockBroken = () => this.minedTimes.push(Date.now());
+
+    this.attach(miningBot, eventManager);
+  }
+
+  /**
+   * Point the dashboard at a new MiningBot, e.g. after a reconnect
+   * @param {MiningBot} miningBot - Current bot
+   * @param {EventManager} eventManager - Its event bus
+   */
+  attach(miningBot, eventManager) {
+    if (this.events) this.events.removeListener('mining:blockBroken', this.onBlockBroken);
+
+    this.miningBot = miningBot;
+    this.events = eventManager;
+    this.events.on('mining:blockBroken', this.onBlockBroken);
+  }
+
+  /**
+   * Serve the page and accept WebSocket clients; the API server must be listening
+   */
+  start() {
+    if (this.wss || !this.api.server) return;
+
+    for (const [route, asset] of Object.entries(ASSETS)) {
+      const body = fs.readFileSync(path.join(PUBLIC_DIR, asset.file));
+      this.api.route('GET', route, (req, res) => {
+        res.writeHead(200, { 'Content-Type': asset.type, 'Cache-Control': 'no-cache' });
+        res.end(body);
+      }, { auth: false, raw: true });
+    }
+
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', socket => this._onConnection(socket));
+    this.api.server.on('upgrade', (req, socket, head) => this._onUpgrade(req, socket, head));
+
+    Logger.captureConsole();
+    this.unsubscribeLog = Logger.onLine(line => this._broadcast({ type: 'log', line }));
+
+    this.timer = setInterval(() => this._tick(), this.interval);
+    this.logger.info(`Dashboard at http://${this.api.host}:${this.api.port}/`);
+  }
+
+  /**
+   * Disconnect clients and stop streaming
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribeLog) this.unsubscribeLog();
+    this.unsubscribeLog = null;
+    if (this.events) this.events.removeListener('mining:blockBroken', this.onBlockBroken);
+
+    if (this.wss) {
+      for (const client of this.wss.clients) client.terminate();
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  /**
+   * Blocks broken over the last minute
+   * @returns {number} Blocks per minute
+   */
+  getBlocksPerMinute() {
+    const cutoff = Date.now() - 60000;
+    while (this.minedTimes.length > 0 && this.minedTimes[0] < cutoff) this.minedTimes.shift();
+    return this.minedTimes.length;
+  }
+
+  /**
+   * Build one telemetry frame
+   * @param {boolean} includeMap - Whether to add the job area map
+   * @returns {Object} Telemetry message
+   */
+  getTelemetry(includeMap = false) {
+    const { bot, mining, inventory, safety } = this.miningBot;
+    const status = mining.getStatus();
+    const entity = bot.entity;
+
+    return {
+      type: 'telemetry',
+      time: Date.now(),
+      position: entity ? entity.position.floored() : null,
+      health: bot.health,
+      food: bot.food,
+      job: status.job,
+      paused: this.miningBot.interruptReason,
+      progress: { index: status.queueIndex, total: status.queuedBlocks },
+      blocksPerMinute: this.getBlocksPerMinute(),
+      inventoryUsage: inventory.getUsagePercentage(),
+      hostiles: entity
+        ? safety.detectNearbyMobs().hostile.map(mob => ({ name: mob.name, distance: Number(mob.distance.toFixed(1)) }))
+        : [],
+      map: includeMap ? mining.getAreaMap() : undefined
+    };
+  }
+
+  /**
+   * Send telemetry to every client
+   * @private
+   */
+  _tick() {
+    if (!this.wss || this.wss.clients.size === 0) return;
+
+    try {
+      this._broadcast(this.getTelemetry(this.ticks++ % MAP_EVERY === 0));
+    } catch (error) {
+      this.logger.error(`Telemetry failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept WebSocket upgrades on /ws that carry the API token
+   * @private
+   */
+  _onUpgrade(req, socket, head) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (url.pathname !== '/ws') return;
+
+    if (!this.api.checkToken(url.searchParams.get('token'))) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, client => this.wss.emit('connection', client, req));
+  }
+
+  /**
+   * Greet a new client with the log tail and a full frame
+   * @private
+   */
+  _onConnection(socket) {
+    socket.on('message', data => this._onMessage(socket, data));
+    socket.on('error', error => this.logger.warn(`Client error: ${error.message}`));
+
+    this._send(socket, { type: 'log-tail', lines: Logger.getTail(LOG_TAIL) });
+    this._send(socket, this.getTelemetry(true));
+  }
+
+  /**
+   * Run a job control button press {action}
+   * @private
+   */
+  _onMessage(socket, data) {
+    let action;
+    try {
+      ({ action } = JSON.parse(data.toString()));
+    } catch (error) {
+      this._send(socket, { type: 'result', ok: false, message: 'Messages must be JSON' });
+      return;
+    }
+
+    if (!ACTIONS.includes(action)) {
+      this._send(socket, { type: 'result', ok: false, message: `Unknown action "${action}"` });
+      return;
+    }
+
+    const miningBot = this.miningBot;
+    let ok = true;
+    let message;
+
+    if (action === 'start') {
+      ok = miningBot.startMining();
+      message = ok ? 'Job started' : 'Could not start: a job is running or food is low';
+    } else if (action === 'resume' && !miningBot.currentJob) {
+      ok = miningBot.resumeJob();
+      message = ok ? `Resumed job ${miningBot.currentJob.id}` : 'Could not resume: no saved job or food is low';
+    } else if (!miningBot.currentJob) {
+      ok = false;
+      message = 'No job is running';
+    } else if (action === 'stop') {
+      miningBot.stopMining();
+      message = 'Job stopped';
+    } else if (action === 'pause') {
+      miningBot.pauseMining();
+      message = 'Job paused';
+    } else {
+      miningBot.resumeMining();
+      message = 'Job resumed';
+    }
+
+    this.logger.info(`Dashboard ${action}: ${message}`);
+    this._send(socket, { type: 'result', action, ok, message });
+    this._broadcast(this.getTelemetry(true));
+  }
+
+  /**
+   * Send a message to every open client
+   * @private
+   */
+  _broadcast(message) {
+    if (!this.wss) return;
+    const data = JSON.stringify(message);
+    for (const client of this.wss.clients) {
+      if (client.readyState === WebSocket.OPEN) client.send(data);
+    }
+  }
+
+  /**
+   * Send a message to one client
+   * @private
+   */
+  _send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }
+}
+
+module.exports = Dashboard;
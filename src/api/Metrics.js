@@ -0,0 +1,195 @@
+/**
+ * Metrics
+ * Prometheus metrics built from the bot's events, served as text on /metrics
+ * Counters and histograms survive reconnects; gauges are read at scrape time
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Histogram buckets in seconds
+const DIG_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10];
+const PATH_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+class Metrics {
+  constructor(apiServer, miningBot, eventManager) {
+    this.api = apiServer;
+    this.miningBot = null;
+    this.events = null;
+    this.blocksMined = new Map(); // block name -> count
+    this.digErrors = new Map(); // reason -> count
+    this.digDuration = this._histogram(DIG_BUCKETS);
+    this.pathDuration = new Map(); // 'reached' or 'failed' -> histogram
+    this.vitals = { health: null, food: null };
+
+    this.listeners = {
+      'mining:blockBroken': ({ block }) => this._increment(this.blocksMined, block.name),
+      'mining:dug': ({ duration }) => this._observe(this.digDuration, duration / 1000),
+      'mining:digFailed': ({ reason }) => this._increment(this.digErrors, reason),
+      'mining:error': () => this._increment(this.digErrors, 'job_failed'),
+      'navigation:finished': ({ reached, duration }) => {
+        const result = reached ? 'reached' : 'failed';
+        if (!this.pathDuration.has(result)) this.pathDuration.set(result, this._histogram(PATH_BUCKETS));
+        this._observe(this.pathDuration.get(result), duration / 1000);
+      },
+      'bot:healthUpdate': ({ health, food }) => {
+        this.vitals = { health, food };
+      }
+    };
+
+    this.attach(miningBot, eventManager);
+  }
+
+  /**
+   * Follow a new MiningBot, e.g. after a reconnect
+   * @param {MiningBot} miningBot - Current bot
+   * @param {EventManager} eventManager - Its event bus
+   */
+  attach(miningBot, eventManager) {
+    this._unsubscribe();
+
+    this.miningBot = miningBot;
+    this.events = eventManager;
+    this.vitals = { health: null, food: null };
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.events.on(event, listener);
+    }
+  }
+
+  /**
+   * Serve /metrics on the API server
+   */
+  start() {
+    this.api.route('GET', '/metrics', (req, res) => {
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(this.render());
+    }, { raw: true });
+  }
+
+  /**
+   * Stop listening to events
+   */
+  stop() {
+    this._unsubscribe();
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} Metrics text
+   */
+  render() {
+    const { bot, mining, inventory, safety } = this.miningBot;
+    const status = mining.getStatus();
+    const health = this.vitals.health !== null ? this.vitals.health : bot.health;
+    const food = this.vitals.food !== null ? this.vitals.food : bot.food;
+    const hostiles = bot.entity ? safety.detectNearbyMobs().hostile.length : 0;
+
+    const lines = [];
+
+    this._header(lines, 'miner_blocks_mined_total', 'counter', 'Blocks broken, by block name');
+    for (const [block, count] of this.blocksMined) {
+      lines.push(`miner_blocks_mined_total{block="${this._escape(block)}"} ${count}`);
+    }
+
+    this._header(lines, 'miner_dig_errors_total', 'counter', 'Blocks that could not be dug, by reason');
+    for (const [reason, count] of this.digErrors) {
+      lines.push(`miner_dig_errors_total{reason="${this._escape(reason)}"} ${count}`);
+    }
+
+    this._gauge(lines, 'miner_health', 'Bot health (0-20)', health);
+    this._gauge(lines, 'miner_food', 'Bot food level (0-20)', food);
+    this._gauge(lines, 'miner_inventory_usage_percent', 'Inventory slots in use, percent', inventory.getUsagePercentage());
+    this._gauge(lines, 'miner_queue_length', 'Blocks left in the mining queue', Math.max(0, status.queuedBlocks - status.queueIndex));
+    this._gauge(lines, 'miner_hostile_mobs', 'Hostile mobs within detection range', hostiles);
+
+    this._header(lines, 'miner_dig_duration_seconds', 'histogram', 'Time spent digging a single block');
+    this._renderHistogram(lines, 'miner_dig_duration_seconds', '', this.digDuration);
+
+    this._header(lines, 'miner_path_duration_seconds', 'histogram', 'Time from starting a path to reaching or giving up on its target');
+    for (const [result, histogram] of this.pathDuration) {
+      this._renderHistogram(lines, 'miner_path_duration_seconds', `result="${result}",`, histogram);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Remove event listeners from the current event bus
+   * @private
+   */
+  _unsubscribe() {
+    if (!this.events) return;
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.events.removeListener(event, listener);
+    }
+  }
+
+  /**
+   * Empty histogram with the given bucket bounds
+   * @private
+   */
+  _histogram(buckets) {
+    return { buckets, counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+  }
+
+  /**
+   * Record one histogram observation
+   * @private
+   */
+  _observe(histogram, value) {
+    histogram.buckets.forEach((bound, index) => {
+      if (value <= bound) histogram.counts[index]++;
+    });
+    histogram.sum += value;
+    histogram.count++;
+  }
+
+  /**
+   * Add one to a labelled counter
+   * @private
+   */
+  _increment(counter, label) {
+    counter.set(label, (counter.get(label) || 0) + 1);
+  }
+
+  /**
+   * HELP and TYPE lines
+   * @private
+   */
+  _header(lines, name, type, help) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  }
+
+  /**
+   * Gauge with its header; unknown values are left out
+   * @private
+   */
+  _gauge(lines, name, help, value) {
+    this._header(lines, name, 'gauge', help);
+    if (typeof value === 'number' && isFinite(value)) lines.push(`${name} ${value}`);
+  }
+
+  /**
+   * Cumulative bucket, sum and count lines for a histogram
+   * @private
+   */
+  _renderHistogram(lines, name, labels, histogram) {
+    histogram.buckets.forEach((bound, index) => {
+      lines.push(`${name}_bucket{${labels}le="${bound}"} ${histogram.counts[index]}`);
+    });
+    lines.push(`${name}_bucket{${labels}le="+Inf"} ${histogram.count}`);
+
+    const suffix = labels ? `{${labels.slice(0, -1)}}` : '';
+    lines.push(`${name}_sum${suffix} ${histogram.sum}`);
+    lines.push(`${name}_count${suffix} ${histogram.count}`);
+  }
+
+  /**
+   * Escape a label value
+   * @private
+   */
+  _escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,148 @@
+/**
+ * Dashboard client
+ * Connects to the bot's WebSocket with the API token and renders telemetry
+ */
+
+(function () {
+  const MAX_LOG_LINES = 300;
+  const RECONNECT_DELAY = 3000; // ms
+  const COLORS = { m: '#3b82f6', r: '#d97706', '.': '#3f4147' };
+
+  const $ = id => document.getElementById(id);
+  let socket = null;
+  let lastMap = null;
+  let lastPosition = null;
+
+  /**
+   * Token from the #token= fragment, then this tab's storage, then a prompt
+   * The fragment is never sent to the server, so it stays out of access logs
+   */
+  function getToken() {
+    const match = /token=([^&]+)/.exec(window.location.hash);
+    if (match) {
+      sessionStorage.setItem('minerToken', decodeURIComponent(match[1]));
+      history.replaceState(null, '', window.location.pathname);
+    }
+
+    let token = sessionStorage.getItem('minerToken');
+    if (!token) {
+      token = window.prompt('API token') || '';
+      sessionStorage.setItem('minerToken', token);
+    }
+    return token;
+  }
+
+  function connect() {
+    const scheme = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    socket = new WebSocket(`${scheme}://${window.location.host}/ws?token=${encodeURIComponent(getToken())}`);
+
+    socket.onopen = () => setConnection(true);
+    socket.onclose = () => {
+      setConnection(false);
+      setTimeout(connect, RECONNECT_DELAY);
+    };
+    socket.onmessage = event => handleMessage(JSON.parse(event.data));
+  }
+
+  function setConnection(online) {
+    const badge = $('connection');
+    badge.textContent = online ? 'online' : 'offline';
+    badge.className = `badge ${online ? 'online' : 'offline'}`;
+  }
+
+  function handleMessage(message) {
+    switch (message.type) {
+      case 'telemetry':
+        renderTelemetry(message);
+        break;
+      case 'log-tail':
+        $('log').textContent = '';
+        message.lines.forEach(appendLog);
+        break;
+      case 'log':
+        appendLog(message.line);
+        break;
+      case 'result':
+        showResult(message);
+        break;
+    }
+  }
+
+  function renderTelemetry(data) {
+    lastPosition = data.position;
+    $('position').textContent = data.position ? `${data.position.x}, ${data.position.y}, ${data.position.z}` : '-';
+    $('health').textContent = `${Math.round(data.health)} / 20`;
+    $('food').textContent = `${data.food} / 20`;
+    $('bpm').textContent = data.blocksPerMinute;
+    $('inventory').textContent = `${data.inventoryUsage}%`;
+    $('hostiles').textContent = data.hostiles.length === 0
+      ? 'none'
+      : data.hostiles.map(mob => `${mob.name} (${mob.distance}m)`).join(', ');
+
+    const { index, total } = data.progress;
+    const percent = total > 0 ? Math.round((index / total) * 100) : 0;
+    $('progress-bar').style.width = `${percent}%`;
+    $('progress-text').textContent = data.job
+      ? `${index} / ${total} queued blocks (${percent}%), cursor ${data.job.cursor} / ${data.job.total}`
+      : 'No job';
+    $('job-state').textContent = data.paused ? `paused: ${data.paused}` : (data.job ? data.job.status : '');
+
+    if (data.map !== undefined) lastMap = data.map;
+    drawMap();
+  }
+
+  function drawMap() {
+    const canvas = $('map');
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (!lastMap) return;
+
+    const cell = Math.max(1, Math.floor(Math.min(canvas.width / lastMap.width, canvas.height / lastMap.depth)));
+    lastMap.rows.forEach((row, z) => {
+      for (let x = 0; x < row.length; x++) {
+        context.fillStyle = COLORS[row[x]];
+        context.fillRect(x * cell, z * cell, cell, cell);
+      }
+    });
+
+    if (lastPosition) {
+      const x = lastPosition.x - lastMap.minX;
+      const z = lastPosition.z - lastMap.minZ;
+      if (x >= 0 && x < lastMap.width && z >= 0 && z < lastMap.depth) {
+        context.fillStyle = '#22c55e';
+        context.fillRect(x * cell, z * cell, cell, cell);
+      }
+    }
+  }
+
+  function appendLog(line) {
+    const log = $('log');
+    const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 4;
+
+    const entry = document.createElement('div');
+    entry.className = line.level;
+    entry.textContent = line.text;
+    log.appendChild(entry);
+
+    while (log.childNodes.length > MAX_LOG_LINES) log.removeChild(log.firstChild);
+    if (atBottom) log.scrollTop = log.scrollHeight;
+  }
+
+  function showResult(result) {
+    const element = $('result');
+    element.textContent = result.message;
+    element.style.color = result.ok ? '#4ade80' : '#f87171';
+    clearTimeout(showResult.timer);
+    showResult.timer = setTimeout(() => { element.textContent = ''; }, 4000);
+  }
+
+  document.querySelectorAll('button[data-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ action: button.dataset.action }));
+      }
+    });
+  });
+
+  connect();
+})();
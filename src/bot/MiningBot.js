@@ -0,0 +1,742 @@
+/**
+ * MiningBot - Orchestrates the mining, navigation, inventory and safety modules
+ * Owns one instance of each module and runs the tick loop that lets safety
+ * checks interrupt mining and a full inventory request a deposit
+ */
+
+const Vec3 = require('vec3');
+const MiningModule = require('../../modules/mining');
+const Navigation = require('../../modules/navigation');
+const InventoryManager = require('../../modules/inventory');
+const SafetyChecker = require('../../modules/safety');
+const DepositManager = require('../../modules/deposit');
+const CraftingManager = require('../../modules/crafting');
+const SmeltingManager = require('../../modules/smelting');
+const TorchPlacer = require('../../modules/lighting');
+const FluidSealer = require('../../modules/sealing');
+const ThreatResponder = require('../../modules/combat');
+const SurvivalManager = require('../../modules/survival');
+const Logger = require('../utils/Logger');
+
+class MiningBot {
+  constructor(bot, config, eventManager) {
+    this.bot = bot;
+    this.config = config;
+    this.events = eventManager;
+    this.logger = new Logger('MiningBot');
+
+    this.navigation = new Navigation(bot, { events: eventManager });
+    this.inventory = new InventoryManager(bot);
+    this.crafting = new CraftingManager(bot, { navigation: this.navigation, inventory: this.inventory });
+    this.lighting = new TorchPlacer(bot, { inventory: this.inventory, crafting: this.crafting });
+    this.safety = new SafetyChecker(bot, { navigation: this.navigation });
+    this.survival = new SurvivalManager(bot, { inventory: this.inventory, navigation: this.navigation });
+    this.combat = new ThreatResponder(bot, { safety: this.safety, navigation: this.navigation });
+    this.sealer = new FluidSealer(bot, { inventory: this.inventory, safety: this.safety, navigation: this.navigation });
+    this.mining = new MiningModule(bot, {
+      navigation: this.navigation,
+      lighting: this.lighting,
+      safety: this.safety,
+      sealer: this.sealer,
+      events: eventManager
+    });
+    this.deposit = new DepositManager(bot, { navigation: this.navigation, inventory: this.inventory });
+    this.smelting = new SmeltingManager(bot, { navigation: this.navigation, inventory: this.inventory });
+
+    this.currentJob = null;
+    this.jobRun = Promise.resolve();
+    this.runId = 0;
+    this.interruptReason = null;
+    this.tickInterval = 500; // ms
+    this.tickTimer = null;
+    this.tickBusy = false;
+    this.depositing = false;
+    this.restocking = false;
+    this.recovering = false;
+    this.escaping = false;
+    this.droppingJunk = false;
+    this.dropJunk = false;
+    this.junkCooldown = 30000; // ms between junk drops, in case tossed items are picked back up
+    this.lastJunkDrop = 0;
+  }
+
+  /**
+   * Initialize all modules and apply mining configuration
+   */
+  async init() {
+    await this.mining.init();
+    this.applyConfig();
+
+    // Eat between jobs too; the tick loop only runs while mining
+    this.events.on('bot:healthUpdate', () => {
+      if (!this.currentJob && this.survival.needsToEat()) {
+        this.survival.eat();
+      }
+    });
+
+    this.logger.info('Modules initialized');
+  }
+
+  /**
+   * Hand each module its part of the mining configuration
+   * Safe to call again after the configuration is reloaded
+   */
+  applyConfig() {
+    const mining = (this.config && this.config.mining) || {};
+    const params = mining.mining_parameters || {};
+    const pattern = mining.pattern || {};
+
+    if (pattern.name) {
+      const options = { spacing: pattern.tunnel_spacing, y: pattern.branch_y, size: pattern.tunnel_size };
+      Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+      this.mining.setPattern(pattern.name, options);
+    }
+
+    this.mining.setConfigIgnoredBlocks(Array.isArray(params.avoid_blocks) ? params.avoid_blocks : []);
+    if (Array.isArray(params.target_ores)) {
+      this.mining.setTargetOres(params.target_ores);
+    }
+    if (typeof params.auto_tool_switch === 'boolean') {
+      this.mining.autoToolSwitch = params.auto_tool_switch;
+    }
+    if (typeof params.mining_speed === 'number') {
+      this.mining.setMiningSpeed(params.mining_speed);
+    }
+
+    const behavior = mining.behavior || {};
+    this.deposit.configure({
+      enabled: !!behavior.return_to_base,
+      base: behavior.base_coordinates,
+      chests: behavior.chests,
+      rule: behavior.deposit_rule,
+      thresholdPercent: behavior.deposit_threshold_percent
+    });
+
+    this.smelting.configure({
+      enabled: !!behavior.auto_smelt,
+      furnaces: behavior.furnaces
+    });
+
+    if (Array.isArray(behavior.item_rules)) {
+      this.inventory.setItemRules(behavior.item_rules);
+    }
+    if (typeof behavior.inventory_tight_percent === 'number') {
+      this.inventory.tightThresholdPercent = behavior.inventory_tight_percent;
+    }
+    this.dropJunk = !!behavior.drop_unwanted_blocks;
+
+    const safety = mining.safety || {};
+    if (safety.dig_hazard_policy) {
+      this.mining.setHazardPolicy(safety.dig_hazard_policy);
+    }
+    this.lighting.configure({
+      enabled: safety.torch_placement,
+      minLightLevel: safety.light_level_requirement,
+      spacing: safety.torch_spacing,
+      lowTorchThreshold: safety.low_torch_warning
+    });
+
+    this.survival.configure({
+      hungerThreshold: safety.eat_below_food,
+      healBelow: safety.heal_below_health,
+      healTarget: safety.heal_target_health,
+      minFoodItems: safety.min_food_items,
+      safeSpot: safety.safe_spot
+    });
+
+    this.sealer.configure({
+      enabled: safety.seal_fluids,
+      fillers: safety.fluid_fillers,
+      zoneRadius: safety.hazard_zone_radius
+    });
+
+    const combat = mining.combat || {};
+    this.combat.configure({
+      enabled: combat.enabled,
+      behaviours: combat.behaviours,
+      threatRadius: combat.threat_radius,
+      fleeCount: combat.flee_count
+    });
+
+    const crafting = mining.crafting || {};
+    this.crafting.configure({
+      autoCraft: crafting.auto_craft,
+      minPickaxes: crafting.min_pickaxes,
+      minTorches: crafting.min_torches
+    });
+  }
+
+  /**
+   * Get the default job area from the mining configuration
+   * @returns {Object} Area {start, end}
+   */
+  getConfiguredArea() {
+    const mining = (this.config && this.config.mining) || {};
+    const origin = mining.coordinates || { x: 0, y: 64, z: 0 };
+    const area = mining.area || { width: 16, height: 16, depth: 16 };
+
+    // Excavate downwards from the configured corner
+    return {
+      start: new Vec3(origin.x, origin.y, origin.z),
+      end: new Vec3(
+        origin.x + area.width - 1,
+        origin.y - area.height + 1,
+        origin.z + area.depth - 1
+      )
+    };
+  }
+
+  /**
+   * Start a mining job and the tick loop
+   * Without an area, a job cut short by a crash or disconnect is resumed first
+   * @param {Object} startPos - Starting position {x, y, z}, defaults to the configured area
+   * @param {Object} endPos - Ending position {x, y, z}
+   * @param {Object} options - Pattern options {pattern, spacing, y, size}
+   * @returns {boolean} True if the job was started
+   */
+  startMining(startPos, endPos, options = {}) {
+    if (!this._canStart()) return false;
+
+    const saved = !startPos && !endPos ? this.mining.findResumableJob() : null;
+    if (saved) return this._startSavedJob(saved);
+
+    const area = startPos && endPos
+      ? { start: startPos, end: endPos }
+      : this.getConfiguredArea();
+    this.currentJob = { ...area, options, startedAt: Date.now() };
+    this._launchJob(() => this.mining.mineRectangularArea(area.start, area.end, options));
+    return true;
+  }
+
+  /**
+   * Pick up a saved job from its cursor, e.g. one paused before a restart or reconnect
+   * @param {string} jobId - Job to resume, defaults to the newest paused or running job, manual pauses included
+   * @returns {boolean} True if the job was resumed
+   */
+  resumeJob(jobId) {
+    if (!this._canStart()) return false;
+
+    const saved = jobId ? this.mining.loadJob(jobId) : this.mining.findResumableJob({ includeManual: true });
+    if (!saved || saved.status === 'completed' || saved.status === 'stopped') {
+      this.logger.warn(jobId ? `Job ${jobId} cannot be resumed` : 'No saved job to resume');
+      return false;
+    }
+
+    return this._startSavedJob(saved);
+  }
+
+  /**
+   * Whether a new or saved job may start now
+   * @private
+   */
+  _canStart() {
+    if (this.currentJob) {
+      this.logger.warn('A mining job is already running');
+      return false;
+    }
+
+    if (!this.survival.hasMinimumFood()) {
+      this.logger.warn(`Not starting: need at least ${this.survival.minFoodItems} food items, have ${this.survival.getFoodCount()}`);
+      this.events.emit('mining:refused', { reason: 'not enough food' });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Make a saved job the current job and run it from its cursor
+   * @private
+   */
+  _startSavedJob(saved) {
+    this.currentJob = {
+      id: saved.id,
+      start: saved.area.start,
+      end: saved.area.end,
+      options: { pattern: saved.pattern, ...saved.patternOptions },
+      startedAt: Date.now()
+    };
+    this.logger.info(`Resuming saved job ${saved.id} at ${saved.cursor}/${saved.total}`);
+    this._launchJob(() => this.mining.resume(saved.id));
+    return true;
+  }
+
+  /**
+   * Start the tick loop and the run for currentJob
+   * @private
+   */
+  _launchJob(task) {
+    const { start, end } = this.currentJob;
+    this.interruptReason = null;
+    this._startTicking();
+
+    this.logger.info(`Mining job started: (${start.x}, ${start.y}, ${start.z}) -> (${end.x}, ${end.y}, ${end.z})`);
+    this.events.emit('mining:started', { job: this.currentJob });
+
+    this._scheduleRun(task);
+  }
+
+  /**
+   * Dig a staircase down to a Y level, e.g. to reach diamond level before a job
+   * @param {number} y - Feet level to stop at
+   * @param {Object} options - {direction: {x, z}, torches, recordRoute}
+   * @returns {Promise<Object>} {success, y, steps, reason}
+   */
+  async descendTo(y, options = {}) {
+    if (this.currentJob) {
+      this.logger.warn('Cannot descend while a mining job is running');
+      return { success: false, y: this.bot.entity.position.floored().y, steps: 0, reason: 'mining job running' };
+    }
+
+    const result = await this.mining.descendTo(y, options);
+    this.events.emit('mining:descended', result);
+    return result;
+  }
+
+  /**
+   * Stop the current job and all movement
+   */
+  stopMining() {
+    if (!this.currentJob) return;
+
+    const job = this.currentJob;
+    this.currentJob = null;
+    this.interruptReason = null;
+    this._stopTicking();
+    this.mining.stop();
+    this.navigation.stop();
+
+    this.logger.info('Mining job stopped');
+    this.events.emit('mining:stopped', { job });
+  }
+
+  /**
+   * Interrupt the running job until the reason is cleared
+   * @param {string} reason - Why mining was interrupted
+   */
+  interrupt(reason) {
+    if (!this.currentJob || this.interruptReason) return;
+
+    this.interruptReason = reason;
+    this.mining.pause(reason);
+    this.navigation.stop();
+
+    this.logger.warn(`Mining interrupted: ${reason}`);
+    this.events.emit('mining:interrupted', { reason });
+  }
+
+  /**
+   * Continue a job after an interrupt
+   */
+  resumeMining() {
+    if (!this.currentJob || !this.interruptReason) return;
+
+    const reason = this.interruptReason;
+    this.interruptReason = null;
+
+    this.logger.info(`Resuming mining after: ${reason}`);
+    this.events.emit('mining:resumed', { reason });
+
+    this._scheduleRun(() => this.mining.resume());
+  }
+
+  /**
+   * Pause the job until resumeMining is called
+   */
+  pauseMining() {
+    this.interrupt('manual');
+  }
+
+  /**
+   * Pause the job without ending it, e.g. on disconnect; the next
+   * startMining without an area picks it up from its saved cursor
+   */
+  suspend() {
+    if (!this.currentJob) return;
+
+    this.mining.pause('disconnect');
+    this.navigation.stop();
+    this._stopTicking();
+    this.currentJob = null;
+    this.interruptReason = null;
+    this.runId++;
+
+    this.logger.info('Mining job suspended');
+  }
+
+  /**
+   * Queue a run of the current job behind any run that is still winding down
+   * @private
+   */
+  _scheduleRun(task) {
+    const runId = ++this.runId;
+    this.jobRun = this.jobRun.then(() => this._runJob(runId, task));
+  }
+
+  /**
+   * Run the current job until it completes, is interrupted or stopped
+   * @private
+   */
+  async _runJob(runId, task) {
+    const job = this.currentJob;
+    if (!job || runId !== this.runId) return;
+
+    try {
+      await task();
+    } catch (error) {
+      this.logger.error(`Mining job failed: ${error.message}`);
+      this.events.emit('mining:error', { error });
+      if (this.currentJob === job) this.stopMining();
+      return;
+    }
+
+    // Paused, stopped or superseded while running
+    if (this.currentJob !== job || this.interruptReason || runId !== this.runId) return;
+
+    this.currentJob = null;
+    this._stopTicking();
+
+    if (!this.mining.job || this.mining.job.status !== 'completed') {
+      this.logger.warn('Mining job ended without completing');
+      this.events.emit('mining:stopped', { job });
+      return;
+    }
+
+    this.events.emit('mining:goalReached', {
+      job,
+      message: `Area (${job.start.x}, ${job.start.y}, ${job.start.z}) -> (${job.end.x}, ${job.end.y}, ${job.end.z}) excavated`
+    });
+  }
+
+  /**
+   * Start the tick loop
+   * @private
+   */
+  _startTicking() {
+    if (this.tickTimer) return;
+    this.tickTimer = setInterval(() => this._tick(), this.tickInterval);
+  }
+
+  /**
+   * Stop the tick loop
+   * @private
+   */
+  _stopTicking() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  /**
+   * Single tick: safety interrupts first, then hunger and healing, then tools, then inventory
+   * @private
+   */
+  async _tick() {
+    if (this.tickBusy || !this.currentJob || !this.bot.entity) return;
+    this.tickBusy = true;
+
+    try {
+      const hazard = this.checkSafety();
+
+      if (hazard) {
+        this.interrupt(hazard);
+        if (hazard === 'safety:hostile_mobs' && this.combat.enabled && !this.depositing && !this.restocking) {
+          await this._respondToThreats();
+        }
+        if (hazard === 'safety:low_health' && !this.recovering && !this.depositing) {
+          this._recoveryTrip(true);
+        }
+        if (hazard === 'safety:lava' && !this.escaping) {
+          await this._escapeLava();
+        }
+      } else if (this.interruptReason && this.interruptReason.startsWith('safety:') && !this.recovering) {
+        if (this.combat.state !== 'clear') {
+          await this._respondToThreats();
+        }
+        this.resumeMining();
+      }
+
+      if (!this.interruptReason && this.survival.needsRecovery()) {
+        this.interrupt('healing');
+        this._recoveryTrip(false);
+      }
+
+      if (this.survival.checkOutOfFood()) {
+        this.bot.chat('I have run out of food');
+        this.events.emit('survival:outOfFood', {});
+      }
+
+      if (!this.interruptReason && this.crafting.needsRestock()) {
+        this.interrupt('crafting');
+        this._restockTrip();
+      }
+
+      // Junk goes before a deposit trip is considered, and only once space is getting short
+      if (this.dropJunk && !this.interruptReason && Date.now() - this.lastJunkDrop >= this.junkCooldown &&
+          this.inventory.isTight() && this.inventory.getJunk(true).length > 0) {
+        this.interrupt('dropping_junk');
+        this._dropJunk();
+      }
+
+      if (!this.interruptReason && this.deposit.needsDeposit()) {
+        this.interrupt('inventory_full');
+        this.events.emit('inventory:full', { summary: this.inventory.getInventorySummary() });
+        if (this.deposit.enabled) {
+          this._depositTrip();
+        }
+      } else if (this.interruptReason === 'inventory_full' && !this.depositing && !this.deposit.needsDeposit()) {
+        this.resumeMining();
+      }
+    } catch (error) {
+      this.logger.error(`Tick failed: ${error.message}`);
+    } finally {
+      this.tickBusy = false;
+    }
+  }
+
+  /**
+   * Let the combat module act on nearby mobs once the mining loop has stopped
+   * @private
+   */
+  async _respondToThreats() {
+    await this.jobRun;
+
+    const previous = this.combat.state;
+    const state = await this.combat.respond();
+    if (state !== previous) {
+      this.events.emit('combat:state', { state, previous });
+    }
+  }
+
+  /**
+   * Toss junk behind the bot once the mining loop has stopped, then resume
+   * @private
+   */
+  async _dropJunk() {
+    if (this.droppingJunk) return;
+    this.droppingJunk = true;
+
+    try {
+      // Tossing clicks inventory windows, which would race the dig loop's equips
+      await this.jobRun;
+
+      // Throw away from the next block so the bot does not walk straight back over the drops
+      const eye = this.bot.entity.position.offset(0, this.bot.entity.height, 0);
+      const next = this.mining.miningQueue[this.mining.queueIndex];
+      if (next) {
+        await this.bot.lookAt(eye.scaled(2).minus(new Vec3(next.x + 0.5, eye.y, next.z + 0.5)));
+      } else {
+        await this.bot.look(this.bot.entity.yaw + Math.PI, 0, true);
+      }
+
+      const { dropped } = await this.inventory.disposeJunk(true);
+      this.logger.info(`Dropped junk: ${Object.entries(dropped).map(([name, count]) => `${count} ${name}`).join(', ')}`);
+      this.events.emit('inventory:junkDropped', { dropped });
+    } catch (error) {
+      this.logger.error(`Dropping junk failed: ${error.message}`);
+    } finally {
+      this.lastJunkDrop = Date.now();
+      this.droppingJunk = false;
+      if (this.currentJob && this.interruptReason === 'dropping_junk') {
+        this.resumeMining();
+      }
+    }
+  }
+
+  /**
+   * Go to base, tend the furnaces, deposit, come back to where mining stopped and resume
+   * @private
+   */
+  async _depositTrip() {
+    if (this.depositing) return;
+    this.depositing = true;
+    const returnPos = this.bot.entity.position.floored();
+
+    try {
+      // Let the paused mining loop wind down before taking over movement
+      await this.jobRun;
+
+      // Merging partial stacks may free enough room to skip the trip
+      await this.inventory.consolidateItems();
+      if (!this.deposit.needsDeposit()) {
+        this.resumeMining();
+        return;
+      }
+
+      // Smelt raw ore before the deposit so the chests get ingots
+      if (this.smelting.enabled && this.smelting.furnaces.length > 0) {
+        const smelted = await this.smelting.visitFurnaces();
+        this.events.emit('smelting:visited', smelted);
+      }
+
+      const result = await this.deposit.depositAtBase();
+      for (const chest of result.fullChests) {
+        this.events.emit('storage:chestFull', { position: chest });
+      }
+      this.events.emit('inventory:deposited', result);
+
+      if (!result.success) {
+        this.logger.warn(`Deposit incomplete: ${result.reason}`);
+        return;
+      }
+
+      await this.inventory.sortInventory();
+
+      if (this.currentJob && this.interruptReason === 'inventory_full') {
+        await this.navigation.goTo(returnPos, { tolerance: 1 });
+        this.resumeMining();
+      }
+    } catch (error) {
+      this.logger.error(`Deposit trip failed: ${error.message}`);
+    } finally {
+      this.depositing = false;
+    }
+  }
+
+  /**
+   * Get away from nearby lava and keep the job out of that area
+   * @private
+   */
+  async _escapeLava() {
+    this.escaping = true;
+    try {
+      await this.jobRun;
+
+      const position = this.bot.entity.position;
+      const lava = this._findThreateningLava()
+        .sort((a, b) => a.distanceTo(position) - b.distanceTo(position))[0];
+      if (!lava) return;
+
+      await this.mining.markHazardZone(lava, this.sealer.zoneRadius);
+      const escaped = await this.safety.emergencyEscape(lava);
+      this.events.emit('safety:escaped', { hazard: 'lava', position: lava, escaped });
+    } finally {
+      this.escaping = false;
+    }
+  }
+
+  /**
+   * Eat and wait to heal, first retreating to the safe spot or base if health is critical
+   * @private
+   */
+  async _recoveryTrip(retreat) {
+    if (this.recovering) return;
+    this.recovering = true;
+    const returnPos = this.bot.entity.position.floored();
+
+    try {
+      await this.jobRun;
+
+      if (retreat) {
+        this.logger.warn(`Health critical (${this.bot.health}/20), retreating`);
+        this.events.emit('survival:retreat', { health: this.bot.health });
+        await this.survival.retreat(this.deposit.base);
+      }
+
+      const healed = await this.survival.recover();
+      this.events.emit('survival:recovered', { healed, health: this.bot.health, food: this.bot.food });
+
+      if (this.currentJob && ['healing', 'safety:low_health'].includes(this.interruptReason)) {
+        if (retreat) {
+          await this.navigation.goTo(returnPos, { tolerance: 1 });
+        }
+        // Still critical: the next tick interrupts again
+        this.resumeMining();
+      }
+    } catch (error) {
+      this.logger.error(`Recovery failed: ${error.message}`);
+    } finally {
+      this.recovering = false;
+    }
+  }
+
+  /**
+   * Craft replacement tools and torches, then come back and resume
+   * @private
+   */
+  async _restockTrip() {
+    if (this.restocking) return;
+    this.restocking = true;
+    const returnPos = this.bot.entity.position.floored();
+
+    try {
+      await this.jobRun;
+
+      const crafted = await this.crafting.restock();
+      if (Object.keys(crafted).length > 0) {
+        this.logger.info(`Crafted: ${Object.entries(crafted).map(([name, count]) => `${count} ${name}`).join(', ')}`);
+        this.events.emit('crafting:crafted', { crafted });
+      } else {
+        this.logger.warn('Nothing could be crafted, continuing with current tools');
+      }
+
+      // A crafting table may have been out of the way
+      if (this.currentJob && this.interruptReason === 'crafting') {
+        await this.navigation.goTo(returnPos, { tolerance: 1 });
+        this.resumeMining();
+      }
+    } catch (error) {
+      this.logger.error(`Restock failed: ${error.message}`);
+    } finally {
+      this.restocking = false;
+    }
+  }
+
+  /**
+   * Check the bot's surroundings for anything that should halt mining
+   * @returns {string|null} Interrupt reason or null if safe
+   */
+  checkSafety() {
+    const safetyConfig = ((this.config && this.config.mining) || {}).safety || {};
+    const threshold = safetyConfig.health_threshold_percent || 0;
+
+    if ((this.bot.health / 20) * 100 < threshold) {
+      return 'safety:low_health';
+    }
+
+    const hostile = this.combat.enabled ? this.combat.getThreats().length > 0 : this.safety.hasHostileMobs();
+    if (hostile) {
+      return 'safety:hostile_mobs';
+    }
+
+    if (this._findThreateningLava().length > 0) {
+      return 'safety:lava';
+    }
+
+    return null;
+  }
+
+  /**
+   * Lava within 2 blocks that could reach the bot
+   * Sealed lava is left alone, and lava in a marked zone is already kept out of the job,
+   * otherwise the bot would escape, come back and escape again
+   * @private
+   */
+  _findThreateningLava() {
+    return this.safety.scanAreaForHazards(this.bot.entity.position.floored(), 2).lava
+      .filter(position => this.safety.isLavaExposed(position) && !this.mining.isInHazardZone(position));
+  }
+
+  /**
+   * Get combined status of the bot and its modules
+   * @returns {Object} Current status
+   */
+  getStatus() {
+    return {
+      job: this.currentJob,
+      interruptReason: this.interruptReason,
+      mining: this.mining.getStatus(),
+      navigation: this.navigation.getStatus(),
+      inventory: this.inventory.getInventorySummary(),
+      deposit: this.deposit.getStatus(),
+      smelting: this.smelting.getStatus(),
+      crafting: this.crafting.getStatus(),
+      lighting: this.lighting.getStatus(),
+      sealing: this.sealer.getStatus(),
+      combat: this.combat.getStatus(),
+      survival: this.survival.getStatus()
+    };
+  }
+}
+
+module.exports = MiningBot;
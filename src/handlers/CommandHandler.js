@@ -0,0 +1,385 @@
+/**
+ * Command Handler
+ * Runs chat commands from whitelisted players against the MiningBot and
+ * whispers the replies back to whoever sent them
+ */
+
+const Vec3 = require('vec3');
+const { listPatterns } = require('../../modules/patterns');
+const Logger = require('../utils/Logger');
+
+// Name -> usage and help text; each command runs the method of the same name prefixed with _
+// spawned: the command needs the bot in the world (entity and registry)
+const COMMANDS = {
+  help: { usage: 'help [command]', description: 'List commands or explain one' },
+  mine: { usage: 'mine <x1> <y1> <z1> <x2> <y2> <z2> [pattern]', description: 'Mine the area between two corners' },
+  stop: { usage: 'stop', description: 'Stop the current job' },
+  pause: { usage: 'pause', description: 'Pause the current job' },
+  resume: { usage: 'resume [jobId]', description: 'Resume the paused job, or a saved one after a restart' },
+  status: { usage: 'status', description: 'Show job progress and mining settings' },
+  inventory: { usage: 'inventory', description: 'Summarize the inventory' },
+  come: { usage: 'come [player]', description: 'Walk to a player, by default the one who sent the command', spawned: true },
+  goto: { usage: 'goto <x> <y> <z>', description: 'Walk to a position', spawned: true },
+  speed: { usage: 'speed <blocks per second>', description: 'Set the mining speed (0.1 to 10)' },
+  ignore: { usage: 'ignore <block>', description: 'Never mine a block type', spawned: true },
+  hazards: { usage: 'hazards [radius]', description: 'Scan around the bot for lava, water and hostile mobs', spawned: true },
+  job: { usage: 'job list', description: 'List saved jobs, newest first' }
+};
+
+const ALIASES = {
+  inv: 'inventory',
+  '?': 'help'
+};
+
+const MAX_MESSAGE_LENGTH = 240; // servers reject chat lines over 256 characters
+
+class CommandHandler {
+  constructor(miningBot, eventManager) {
+    this.miningBot = miningBot;
+    this.bot = miningBot.bot;
+    this.events = eventManager;
+    this.logger = new Logger('Commands');
+    this.walking = false; // come or goto in progress
+  }
+
+  /**
+   * Run a command from chat if the player is whitelisted
+   * @param {string} username - Player who sent the command
+   * @param {string} command - Command name, lowercase
+   * @param {Array<string>} args - Command arguments
+   */
+  async handle(username, command, args = []) {
+    if (!this.isAllowed(username)) {
+      this.logger.warn(`Ignored command "${command}" from ${username}: not whitelisted`);
+      this.events.emit('command:denied', { username, command });
+      return;
+    }
+
+    const lines = await this.execute(command, args.filter(Boolean), username);
+    for (const line of lines) {
+      this.reply(username, line);
+    }
+  }
+
+  /**
+   * Run a command and collect its replies
+   * @param {string} command - Command name or alias
+   * @param {Array<string>} args - Command arguments
+   * @param {string} username - Player who sent the command
+   * @returns {Promise<Array<string>>} Reply lines
+   */
+  async execute(command, args = [], username = null) {
+    const name = ALIASES[command] || command;
+    if (!COMMANDS[name]) {
+      return [`Unknown command "${command}". Try ${this._prefix()}help`];
+    }
+
+    this.logger.info(`${username || 'console'} ran: ${[name, ...args].join(' ')}`);
+    this.events.emit('command:executed', { username, command: name, args });
+
+    if (COMMANDS[name].spawned && (!this.bot.entity || !this.bot.registry)) {
+      return ['Not spawned yet, try again once I am in the world'];
+    }
+
+    try {
+      const reply = await this[`_${name}`](args, username);
+      return Array.isArray(reply) ? reply : [reply];
+    } catch (error) {
+      this.logger.error(`Command ${name} failed: ${error.message}`);
+      return [`${name} failed: ${error.message}`];
+    }
+  }
+
+  /**
+   * Check if a player may run commands
+   * @param {string} username - Player name
+   * @returns {boolean} True if the player is on the whitelist
+   */
+  isAllowed(username) {
+    const whitelist = this.miningBot.config.bot.whitelist || [];
+    return whitelist.some(name => name.toLowerCase() === username.toLowerCase());
+  }
+
+  /**
+   * Whisper a reply, split to fit the chat length limit
+   * @param {string} username - Player to reply to
+   * @param {string} message - Reply text
+   */
+  reply(username, message) {
+    for (let i = 0; i < message.length; i += MAX_MESSAGE_LENGTH) {
+      this.bot.whisper(username, message.slice(i, i + MAX_MESSAGE_LENGTH));
+    }
+  }
+
+  /**
+   * Get the list of commands with their help text
+   * @returns {Array} Commands {name, usage, description}
+   */
+  listCommands() {
+    return Object.entries(COMMANDS).map(([name, { usage, description }]) => ({ name, usage, description }));
+  }
+
+  /**
+   * Describe job progress and mining settings
+   * @returns {Array<string>} Status lines
+   */
+  describeStatus() {
+    const status = this.miningBot.mining.getStatus();
+    const job = status.job
+      ? `job ${status.job.status} ${status.job.cursor}/${status.job.total}, ${status.job.deferred} deferred`
+      : 'no job';
+    const paused = this.miningBot.interruptReason ? ` (paused: ${this.miningBot.interruptReason})` : '';
+
+    return [
+      `${job}${paused}`,
+      `pattern ${status.pattern}, ${status.blocksPerSecond} blocks/s, ${status.queuedBlocks} queued`,
+      `ignoring ${status.ignoredBlocks.join(', ') || 'nothing'}`
+    ];
+  }
+
+  /**
+   * List commands, or show usage for one
+   * @private
+   */
+  _help([command]) {
+    if (command) {
+      const name = ALIASES[command] || command;
+      if (!COMMANDS[name]) return `Unknown command "${command}"`;
+      return `${this._prefix()}${COMMANDS[name].usage} - ${COMMANDS[name].description}`;
+    }
+    return `Commands: ${Object.keys(COMMANDS).join(', ')}. Use ${this._prefix()}help <command> for details`;
+  }
+
+  /**
+   * Start a job between two corners
+   * @private
+   */
+  _mine(args) {
+    if (args.length < 6) return this._usage('mine');
+
+    const coords = this._parseNumbers(args.slice(0, 6));
+    if (!coords) return this._usage('mine');
+
+    // The job is planned after this returns, so an unknown pattern has to be caught here
+    const patterns = listPatterns().map(pattern => pattern.name);
+    if (args[6] && !patterns.includes(args[6])) {
+      return `Unknown pattern "${args[6]}" (available: ${patterns.join(', ')}). ${this._usage('mine')}`;
+    }
+
+    const options = args[6] ? { pattern: args[6] } : {};
+    const start = new Vec3(coords[0], coords[1], coords[2]);
+    const end = new Vec3(coords[3], coords[4], coords[5]);
+
+    if (!this.miningBot.startMining(start, end, options)) {
+      return this.miningBot.currentJob ? 'A job is already running, stop it first' : 'Could not start mining, check my food supply';
+    }
+    return `Mining ${start} to ${end}`;
+  }
+
+  /**
+   * Stop the current job
+   * @private
+   */
+  _stop() {
+    if (!this.miningBot.currentJob) return 'No job is running';
+    this.miningBot.stopMining();
+    return 'Stopped';
+  }
+
+  /**
+   * Pause the current job
+   * @private
+   */
+  _pause() {
+    if (!this.miningBot.currentJob) return 'No job is running';
+    if (this.miningBot.interruptReason) return `Already paused (${this.miningBot.interruptReason})`;
+    this.miningBot.pauseMining();
+    return 'Paused';
+  }
+
+  /**
+   * Resume the paused job, or a saved job when none is running
+   * @private
+   */
+  _resume([jobId]) {
+    if (this.walking) return 'Still walking, resume once I have arrived';
+
+    if (this.miningBot.currentJob) {
+      if (jobId) return 'A job is already running, stop it first';
+      if (!this.miningBot.interruptReason) return 'The job is not paused';
+      this.miningBot.resumeMining();
+      return 'Resumed';
+    }
+
+    if (!this.miningBot.resumeJob(jobId)) {
+      return jobId
+        ? `Could not resume ${jobId}: unknown, finished or stopped job, or not enough food`
+        : 'Could not resume: no saved job, or not enough food';
+    }
+    return `Resumed job ${this.miningBot.currentJob.id}`;
+  }
+
+  /**
+   * Job progress and mining settings
+   * @private
+   */
+  _status() {
+    return this.describeStatus();
+  }
+
+  /**
+   * Item counts, largest stacks first
+   * @private
+   */
+  _inventory() {
+    const summary = this.miningBot.inventory.getInventorySummary();
+    const items = Object.entries(summary.items)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, count]) => `${name} x${count}`);
+
+    return [
+      `${summary.totalItems} items, ${summary.emptySlots} empty slots (${summary.usagePercentage}% full)`,
+      items.join(', ') || 'Inventory is empty'
+    ];
+  }
+
+  /**
+   * Walk to a player, by default the one who asked
+   * @private
+   */
+  async _come([target], username) {
+    const name = target || username;
+    if (!name) return this._usage('come');
+
+    const player = this.bot.players[name];
+    if (!player || !player.entity) return name === username ? 'I can\'t see you' : `I can't see ${name}`;
+    return this._walkTo(player.entity.position.floored(), 2);
+  }
+
+  /**
+   * Walk to a position
+   * @private
+   */
+  async _goto(args) {
+    const coords = this._parseNumbers(args.slice(0, 3));
+    if (args.length < 3 || !coords) return this._usage('goto');
+    return this._walkTo(new Vec3(coords[0], coords[1], coords[2]), 1);
+  }
+
+  /**
+   * Set blocks mined per second
+   * @private
+   */
+  _speed([value]) {
+    const speed = Number(value);
+    if (value === undefined || !isFinite(speed)) return this._usage('speed');
+    if (speed < 0.1 || speed > 10) return 'Speed must be between 0.1 and 10 blocks per second';
+
+    this.miningBot.mining.setMiningSpeed(speed);
+    return `Mining speed set to ${speed} blocks/s`;
+  }
+
+  /**
+   * Add a block type to the ignore list
+   * @private
+   */
+  _ignore([blockName]) {
+    if (!blockName) return this._usage('ignore');
+
+    const name = blockName.replace(/^minecraft:/, '').toLowerCase();
+    if (!this.bot.registry.blocksByName[name]) return `Unknown block "${blockName}"`;
+
+    this.miningBot.mining.addIgnoredBlocks([name]);
+    return `Ignoring ${name}`;
+  }
+
+  /**
+   * Lava, water and hostile mobs around the bot
+   * @private
+   */
+  _hazards([value]) {
+    const radius = value === undefined ? 3 : Number(value);
+    if (!Number.isInteger(radius) || radius < 1 || radius > 8) return 'Radius must be a whole number from 1 to 8';
+
+    const position = this.bot.entity.position.floored();
+    const hazards = this.miningBot.safety.scanAreaForHazards(position, radius);
+    const nearest = cells => cells.length > 0
+      ? `, nearest at ${cells.reduce((a, b) => (a.distanceTo(position) <= b.distanceTo(position) ? a : b))}`
+      : '';
+
+    return [
+      `${hazards.isSafe ? 'Safe' : 'Unsafe'} within ${radius} blocks of ${position}`,
+      `lava: ${hazards.lava.length}${nearest(hazards.lava)}`,
+      `water: ${hazards.water.length}${nearest(hazards.water)}`,
+      `hostile mobs: ${hazards.mobs.map(mob => `${mob.name} (${mob.distance.toFixed(1)}m)`).join(', ') || 'none'}`
+    ];
+  }
+
+  /**
+   * Saved job subcommands
+   * @private
+   */
+  _job([action]) {
+    if (action !== 'list') return this._usage('job');
+
+    const jobs = this.miningBot.mining.listJobs();
+    if (jobs.length === 0) return 'No saved jobs';
+
+    return jobs.map(job => {
+      const reason = job.pauseReason ? ` (${job.pauseReason})` : '';
+      return `${job.id}: ${job.status}${reason}, ${job.pattern}, ${job.cursor}/${job.total}, ${job.deferred} deferred`;
+    });
+  }
+
+  /**
+   * Walk somewhere unless a job is using the bot
+   * @private
+   */
+  async _walkTo(target, tolerance) {
+    const { currentJob, interruptReason, depositing, restocking, recovering, escaping, droppingJunk } = this.miningBot;
+
+    // Only a manual pause leaves navigation free; other interrupts are followed by a trip
+    if (currentJob && interruptReason !== 'manual') {
+      return 'Busy mining, pause or stop the job first';
+    }
+    if (depositing || restocking || recovering || escaping || droppingJunk) {
+      return 'Busy with a deposit, restock or recovery trip, try again when it is done';
+    }
+    if (this.walking) return 'Already walking somewhere';
+
+    this.walking = true;
+    try {
+      const reached = await this.miningBot.navigation.goTo(target, { tolerance });
+      return reached ? `Arrived at ${target}` : `Could not reach ${target}`;
+    } finally {
+      this.walking = false;
+    }
+  }
+
+  /**
+   * Parse integer coordinates, or null if any are invalid
+   * @private
+   */
+  _parseNumbers(args) {
+    const numbers = args.map(Number);
+    return numbers.every(Number.isInteger) ? numbers : null;
+  }
+
+  /**
+   * Usage line for a command
+   * @private
+   */
+  _usage(name) {
+    return `Usage: ${this._prefix()}${COMMANDS[name].usage}`;
+  }
+
+  /**
+   * Configured command prefix
+   * @private
+   */
+  _prefix() {
+    return this.miningBot.config.bot.commandPrefix;
+  }
+}
+
+module.exports = CommandHandler;
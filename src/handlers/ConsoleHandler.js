@@ -0,0 +1,211 @@
+/**
+ * Console Handler
+ * Interactive operator console on stdin that runs the chat command set
+ * without the whitelist, with tab completion and a live status view
+ */
+
+const readline = require('readline');
+const chalk = require('chalk');
+
+const WATCH_INTERVAL = 2000; // ms between status --watch refreshes
+
+// Words offered after a command name
+const SUBCOMMANDS = {
+  status: ['--watch'],
+  job: ['list']
+};
+
+class ConsoleHandler {
+  constructor(commandHandler, { input = process.stdin, output = process.stdout, onExit = null } = {}) {
+    this.commandHandler = commandHandler;
+    this.input = input;
+    this.output = output;
+    this.onExit = onExit;
+    this.rl = null;
+    this.watchTimer = null;
+  }
+
+  /**
+   * Point the console at a new command handler, e.g. after a reconnect
+   * @param {CommandHandler} commandHandler - Handler for the current bot
+   */
+  attach(commandHandler) {
+    // A live view would keep reading the old bot
+    if (this.watchTimer) {
+      this._stopWatch();
+      this._prompt();
+    }
+    this.commandHandler = commandHandler;
+  }
+
+  /**
+   * Start reading commands
+   */
+  start() {
+    if (this.rl) return;
+
+    this.rl = readline.createInterface({
+      input: this.input,
+      output: this.output,
+      prompt: chalk.cyan('miner> '),
+      completer: line => this.complete(line)
+    });
+
+    this.rl.on('line', line => this._onLine(line));
+    this.rl.on('SIGINT', () => {
+      // Ctrl+C leaves a live view first, then exits
+      if (this.watchTimer) {
+        this._stopWatch();
+        this.rl.prompt();
+      } else {
+        this._exit();
+      }
+    });
+    this.rl.on('close', () => {
+      this.rl = null;
+      this._exit();
+    });
+
+    this.print(`Operator console ready. Type ${chalk.bold('help')} for commands, ${chalk.bold('exit')} to quit`);
+    this.rl.prompt();
+  }
+
+  /**
+   * Stop reading commands
+   */
+  stop() {
+    this._stopWatch();
+    if (this.rl) {
+      const rl = this.rl;
+      this.rl = null;
+      rl.removeAllListeners('close');
+      rl.close();
+    }
+  }
+
+  /**
+   * Complete command names, subcommands and block names
+   * @param {string} line - Current input line
+   * @returns {Array} [matches, word being completed]
+   */
+  complete(line) {
+    const words = line.trimStart().split(/\s+/);
+    const word = words[words.length - 1];
+
+    let candidates;
+    if (words.length === 1) {
+      candidates = [...this.commandHandler.listCommands().map(command => command.name), 'exit'];
+    } else if (words[0] === 'ignore' && words.length === 2) {
+      // No registry before the first spawn; a throw here would end up in readline's keypress handler
+      const registry = this.commandHandler.bot.registry;
+      candidates = registry ? Object.keys(registry.blocksByName) : [];
+    } else if (words[0] === 'resume' && words.length === 2) {
+      candidates = this.commandHandler.miningBot.mining.listJobs()
+        .filter(job => job.status === 'paused' || job.status === 'running')
+        .map(job => job.id);
+    } else if (words.length === 2) {
+      candidates = SUBCOMMANDS[words[0]] || [];
+    } else {
+      candidates = [];
+    }
+
+    return [candidates.filter(candidate => candidate.startsWith(word)), word];
+  }
+
+  /**
+   * Write a line above the prompt
+   * @param {string} message - Text to print
+   */
+  print(message) {
+    this.output.write(`${message}\n`);
+  }
+
+  /**
+   * Run one console line
+   * @private
+   */
+  async _onLine(line) {
+    this._stopWatch();
+
+    // Accept commands pasted from chat, prefix included
+    let text = line.trim();
+    const prefix = this.commandHandler.miningBot.config.bot.commandPrefix;
+    if (prefix && text.startsWith(prefix)) text = text.slice(prefix.length);
+
+    const args = text.split(/\s+/).filter(Boolean);
+    const command = (args.shift() || '').toLowerCase();
+
+    if (!command) {
+      this._prompt();
+      return;
+    }
+    if (command === 'exit' || command === 'quit') {
+      this._exit();
+      return;
+    }
+    if (command === 'status' && args[0] === '--watch') {
+      this._startWatch();
+      return;
+    }
+
+    const lines = await this.commandHandler.execute(command, args);
+    lines.forEach(reply => this.print(reply));
+    this._prompt();
+  }
+
+  /**
+   * Reprint the status until the next line or Ctrl+C
+   * @private
+   */
+  _startWatch() {
+    const refresh = () => {
+      try {
+        const lines = this.commandHandler.describeStatus();
+        const { entity, health, food } = this.commandHandler.bot;
+
+        this.output.write('\x1b[2J\x1b[H');
+        this.print(chalk.bold(`Status at ${new Date().toLocaleTimeString()} (Enter or Ctrl+C to stop)`));
+        this.print(entity
+          ? `position ${entity.position.floored()}, health ${Math.round(health)}/20, food ${food}/20`
+          : 'not spawned');
+        lines.forEach(reply => this.print(reply));
+      } catch (error) {
+        this._stopWatch();
+        this.print(chalk.red(`Status failed: ${error.message}`));
+        this._prompt();
+      }
+    };
+
+    this.watchTimer = setInterval(refresh, WATCH_INTERVAL);
+    refresh();
+  }
+
+  /**
+   * Leave the live status view
+   * @private
+   */
+  _stopWatch() {
+    if (!this.watchTimer) return;
+    clearInterval(this.watchTimer);
+    this.watchTimer = null;
+  }
+
+  /**
+   * Show the prompt again if the console is still open
+   * @private
+   */
+  _prompt() {
+    if (this.rl) this.rl.prompt();
+  }
+
+  /**
+   * Close the console and hand over to the exit callback
+   * @private
+   */
+  _exit() {
+    this.stop();
+    if (this.onExit) this.onExit();
+  }
+}
+
+module.exports = ConsoleHandler;
@@ -0,0 +1,464 @@
+/**
+ * Config Manager
+ * Merges built-in defaults, config.json and environment variables into one
+ * validated configuration, and hot-reloads the mining section from disk
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { listPatterns } = require('../../modules/patterns');
+const MiningModule = require('../../modules/mining');
+const InventoryManager = require('../../modules/inventory');
+const ThreatResponder = require('../../modules/combat');
+
+const DEFAULTS = {
+  server: {
+    host: 'localhost',
+    port: 25565,
+    version: '1.20.1',
+    auth: 'offline',
+    connectTimeout: 30000
+  },
+  bot: {
+    username: 'MinerBot',
+    password: null,
+    commandPrefix: '!',
+    whitelist: [],
+    autoStart: false,
+    autoReconnect: true,
+    reconnectDelay: 5000,
+    maxReconnectAttempts: 10,
+    autoRespawn: true,
+    chatResponses: true,
+    stopOnGoal: true,
+    debug: false
+  },
+  logging: {
+    enabled: true,
+    log_file: 'mining.log',
+    log_level: 'info'
+  },
+  api: {
+    enabled: false,
+    host: 'localhost',
+    port: 3000,
+    token: null,
+    dashboard: true,
+    metrics: false
+  },
+  mining: {}
+};
+
+// Environment variable -> config path
+const ENV_OVERRIDES = {
+  MC_SERVER_HOST: 'server.host',
+  MC_SERVER_PORT: 'server.port',
+  MC_VERSION: 'server.version',
+  MC_AUTH_METHOD: 'server.auth',
+  MC_CONNECT_TIMEOUT: 'server.connectTimeout',
+  MC_BOT_USERNAME: 'bot.username',
+  MC_BOT_PASSWORD: 'bot.password',
+  MC_AUTO_RECONNECT: 'bot.autoReconnect',
+  MC_RECONNECT_DELAY: 'bot.reconnectDelay',
+  MC_MAX_RECONNECT_ATTEMPTS: 'bot.maxReconnectAttempts',
+  BOT_AUTO_RESPAWN: 'bot.autoRespawn',
+  BOT_CHAT_RESPONSES: 'bot.chatResponses',
+  BOT_WHITELIST: 'bot.whitelist',
+  LOG_LEVEL: 'logging.log_level',
+  API_ENABLED: 'api.enabled',
+  API_HOST: 'api.host',
+  API_PORT: 'api.port',
+  API_TOKEN: 'api.token',
+  API_DASHBOARD: 'api.dashboard',
+  API_METRICS: 'api.metrics'
+};
+
+const PERCENT = { type: 'number', min: 0, max: 100 };
+const POSITION = { type: 'position' };
+const NAME_LIST = { type: 'array', items: { type: 'string', required: true } };
+
+// Item rule match: a name pattern, or @ followed by a known category
+const ITEM_RULE = {
+  type: 'object',
+  fields: {
+    match: {
+      type: 'string',
+      required: true,
+      pattern: new RegExp(`^(?!@)|^@(${InventoryManager.ITEM_CATEGORIES.join('|')})$`),
+      hint: `torch, *_ore or @<category> (${InventoryManager.ITEM_CATEGORIES.join(', ')})`
+    },
+    action: { type: 'enum', values: InventoryManager.RULE_ACTIONS, required: true },
+    min: { type: 'integer', min: 0 }
+  }
+};
+
+// Rules for every known setting; settings left out of the file are not checked
+const SCHEMA = {
+  'server.host': { type: 'string', required: true },
+  'server.port': { type: 'integer', min: 1, max: 65535 },
+  'server.version': { type: 'string' },
+  'server.auth': { type: 'enum', values: ['microsoft', 'mojang', 'offline'] },
+  'server.connectTimeout': { type: 'integer', min: 0 },
+  'bot.username': { type: 'string', required: true },
+  'bot.password': { type: 'string', nullable: true },
+  'bot.commandPrefix': { type: 'string', required: true },
+  'bot.whitelist': { type: 'array', items: { type: 'string' } },
+  'bot.autoStart': { type: 'boolean' },
+  'bot.autoReconnect': { type: 'boolean' },
+  'bot.reconnectDelay': { type: 'integer', min: 0 },
+  'bot.maxReconnectAttempts': { type: 'integer', min: 0 },
+  'bot.autoRespawn': { type: 'boolean' },
+  'bot.chatResponses': { type: 'boolean' },
+  'bot.stopOnGoal': { type: 'boolean' },
+  'bot.debug': { type: 'boolean' },
+  'logging.enabled': { type: 'boolean' },
+  'logging.log_file': { type: 'string' },
+  'logging.log_level': { type: 'enum', values: ['debug', 'info', 'warn', 'error'], ignoreCase: true },
+  'api.enabled': { type: 'boolean' },
+  'api.host': { type: 'string' },
+  'api.port': { type: 'integer', min: 1, max: 65535 },
+  'api.token': { type: 'string', nullable: true },
+  'api.dashboard': { type: 'boolean' },
+  'api.metrics': { type: 'boolean' },
+  'mining.coordinates': POSITION,
+  'mining.area.width': { type: 'integer', min: 1 },
+  'mining.area.height': { type: 'integer', min: 1 },
+  'mining.area.depth': { type: 'integer', min: 1 },
+  'mining.pattern.name': { type: 'enum', values: listPatterns().map(pattern => pattern.name) },
+  'mining.pattern.tunnel_spacing': { type: 'integer', min: 0 },
+  'mining.pattern.branch_y': { type: 'integer', min: -64, max: 319 },
+  'mining.pattern.tunnel_size': { type: 'string', pattern: /^\d+x\d+$/, hint: 'WIDTHxHEIGHT, e.g. 1x2' },
+  'mining.mining_parameters.mining_speed': { type: 'number', min: 0.1, max: 10 },
+  'mining.mining_parameters.auto_tool_switch': { type: 'boolean' },
+  'mining.mining_parameters.target_ores': NAME_LIST,
+  'mining.mining_parameters.avoid_blocks': NAME_LIST,
+  'mining.behavior.drop_unwanted_blocks': { type: 'boolean' },
+  'mining.behavior.return_to_base': { type: 'boolean' },
+  'mining.behavior.base_coordinates': POSITION,
+  'mining.behavior.deposit_threshold_percent': PERCENT,
+  'mining.behavior.deposit_rule': { type: 'enum', values: ['ores', 'blocks', 'all'] },
+  'mining.behavior.chests': { type: 'array', items: POSITION },
+  'mining.behavior.auto_smelt': { type: 'boolean' },
+  'mining.behavior.furnaces': { type: 'array', items: POSITION },
+  'mining.behavior.inventory_tight_percent': PERCENT,
+  'mining.behavior.item_rules': { type: 'array', items: ITEM_RULE },
+  'mining.combat.enabled': { type: 'boolean' },
+  'mining.combat.behaviours': { type: 'map', values: { type: 'enum', values: ThreatResponder.BEHAVIOURS } },
+  'mining.combat.threat_radius': { type: 'number', min: 1 },
+  'mining.combat.flee_count': { type: 'integer', min: 1 },
+  'mining.crafting.auto_craft': { type: 'boolean' },
+  'mining.crafting.min_pickaxes': { type: 'integer', min: 0 },
+  'mining.crafting.min_torches': { type: 'integer', min: 0 },
+  'mining.safety.light_level_requirement': { type: 'integer', min: 0, max: 15 },
+  'mining.safety.torch_placement': { type: 'boolean' },
+  'mining.safety.torch_spacing': { type: 'integer', min: 1 },
+  'mining.safety.low_torch_warning': { type: 'integer', min: 0 },
+  'mining.safety.seal_fluids': { type: 'boolean' },
+  'mining.safety.fluid_fillers': NAME_LIST,
+  'mining.safety.dig_hazard_policy': {
+    type: 'map',
+    keys: MiningModule.HAZARD_TYPES,
+    values: { type: 'enum', values: MiningModule.HAZARD_ACTIONS }
+  },
+  'mining.safety.hazard_zone_radius': { type: 'integer', min: 0 },
+  'mining.safety.health_threshold_percent': PERCENT,
+  'mining.safety.eat_below_food': { type: 'integer', min: 0, max: 20 },
+  'mining.safety.heal_below_health': { type: 'number', min: 0, max: 20 },
+  'mining.safety.heal_target_health': { type: 'number', min: 1, max: 20 },
+  'mining.safety.min_food_items': { type: 'integer', min: 0 },
+  'mining.safety.safe_spot': { type: 'position', nullable: true }
+};
+
+// Sections that can change while the bot is connected
+const RELOADABLE_SECTIONS = ['mining'];
+
+class ConfigManager extends EventEmitter {
+  constructor(filePath, env = process.env) {
+    super();
+    this.filePath = filePath;
+    this.env = env;
+    this.config = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Load and validate the configuration
+   * @returns {Object} Merged configuration
+   * @throws {Error} Listing every invalid setting
+   */
+  load() {
+    this.config = this._build();
+    return this.config;
+  }
+
+  /**
+   * Get the loaded configuration
+   * @returns {Object} Merged configuration
+   */
+  get() {
+    return this.config || this.load();
+  }
+
+  /**
+   * Get one section of the configuration
+   * @param {string} name - Section name, e.g. 'mining' or 'server'
+   * @returns {Object} Section, empty if not configured
+   */
+  getSection(name) {
+    return this.get()[name] || {};
+  }
+
+  /**
+   * Re-read the file and swap in the reloadable sections
+   * Other sections need a reconnect, so changes to them are only reported.
+   * Emits 'reload' on success and 'invalid' with the error otherwise; if a
+   * 'reload' listener throws, the previous sections are put back first
+   * @returns {boolean} True if the new configuration was applied
+   */
+  reload() {
+    let next;
+    try {
+      // Validates everything before the live config is touched
+      next = this._build();
+    } catch (error) {
+      this.emit('invalid', error);
+      return false;
+    }
+
+    const current = this.get();
+    const ignored = Object.keys(next)
+      .filter(section => !RELOADABLE_SECTIONS.includes(section))
+      .filter(section => JSON.stringify(next[section]) !== JSON.stringify(current[section]));
+
+    // Replace in place so holders of the config object see the new values
+    const previous = {};
+    for (const section of RELOADABLE_SECTIONS) {
+      previous[section] = current[section];
+      current[section] = next[section];
+    }
+
+    try {
+      this.emit('reload', { sections: RELOADABLE_SECTIONS, ignored, config: current });
+    } catch (error) {
+      Object.assign(current, previous);
+      this.emit('invalid', error);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Reload automatically whenever the config file changes
+   */
+  watch() {
+    if (this.watcher) return;
+
+    this.watcher = fs.watch(this.filePath, () => {
+      // Editors often write a file in several steps
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), 200);
+    });
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Merge defaults, file and environment, then validate
+   * @private
+   */
+  _build() {
+    const config = this._merge(JSON.parse(JSON.stringify(DEFAULTS)), this._readFile());
+
+    const errors = [];
+    for (const [name, path] of Object.entries(ENV_OVERRIDES)) {
+      if (this.env[name] === undefined || this.env[name] === '') continue;
+
+      const value = this._coerce(this.env[name], SCHEMA[path]);
+      if (value === undefined) {
+        errors.push(`${name}: expected ${this._describe(SCHEMA[path])}, got "${this.env[name]}"`);
+      } else {
+        this._set(config, path, value);
+      }
+    }
+
+    for (const [path, rule] of Object.entries(SCHEMA)) {
+      const error = this._check(this._get(config, path), rule);
+      if (error) errors.push(`${path}: ${error}`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+  }
+
+  /**
+   * Read the JSON config file
+   * @private
+   */
+  _readFile() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Cannot read ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deep-merge plain objects; arrays and other values replace
+   * @private
+   */
+  _merge(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      if (isObject && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+        this._merge(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Convert an environment string to the type its setting expects
+   * @private
+   */
+  _coerce(raw, rule) {
+    switch (rule.type) {
+      case 'integer':
+        return /^-?\d+$/.test(raw) ? Number(raw) : undefined;
+      case 'number':
+        return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : undefined;
+      case 'boolean':
+        if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+        if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+        return undefined;
+      case 'enum':
+        return raw.toLowerCase();
+      case 'array':
+        return raw.split(',').map(item => item.trim()).filter(Boolean);
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Check a value against its rule
+   * @private
+   * @returns {string|null} Error message or null if valid
+   */
+  _check(value, rule) {
+    if (value === undefined) return rule.required ? 'is required' : null;
+    if (value === null) return rule.nullable ? null : `expected ${this._describe(rule)}, got null`;
+
+    const got = `got ${JSON.stringify(value)}`;
+    switch (rule.type) {
+      case 'string':
+        if (typeof value !== 'string' || (rule.required && value.trim() === '')) return `expected ${this._describe(rule)}, ${got}`;
+        if (rule.pattern && !rule.pattern.test(value)) return `expected ${this._describe(rule)}, ${got}`;
+        return null;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : `expected true or false, ${got}`;
+      case 'integer':
+      case 'number': {
+        const valid = typeof value === 'number' && (rule.type === 'number' ? isFinite(value) : Number.isInteger(value));
+        const inRange = (rule.min === undefined || value >= rule.min) && (rule.max === undefined || value <= rule.max);
+        return valid && inRange ? null : `expected ${this._describe(rule)}, ${got}`;
+      }
+      case 'enum': {
+        const name = rule.ignoreCase && typeof value === 'string' ? value.toLowerCase() : value;
+        return rule.values.includes(name) ? null : `expected ${this._describe(rule)}, ${got}`;
+      }
+      case 'position':
+        return value && ['x', 'y', 'z'].every(axis => Number.isInteger(value[axis]))
+          ? null
+          : `expected ${this._describe(rule)}, ${got}`;
+      case 'array': {
+        if (!Array.isArray(value)) return `expected a list, ${got}`;
+        if (!rule.items) return null;
+        const index = value.findIndex(item => this._check(item, rule.items));
+        return index === -1 ? null : `item ${index}: ${this._check(value[index], rule.items)}`;
+      }
+      case 'map': {
+        if (typeof value !== 'object' || Array.isArray(value)) return `expected an object, ${got}`;
+        for (const [key, entry] of Object.entries(value)) {
+          if (rule.keys && !rule.keys.includes(key)) return `unknown key "${key}" (expected ${rule.keys.join(', ')})`;
+          const error = this._check(entry, rule.values);
+          if (error) return `${key}: ${error}`;
+        }
+        return null;
+      }
+      case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) return `expected an object, ${got}`;
+        for (const [key, fieldRule] of Object.entries(rule.fields)) {
+          const error = this._check(value[key], fieldRule);
+          if (error) return `${key}: ${error}`;
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Describe what a rule accepts, for error messages
+   * @private
+   */
+  _describe(rule) {
+    const range = [
+      rule.min !== undefined ? `>= ${rule.min}` : null,
+      rule.max !== undefined ? `<= ${rule.max}` : null
+    ].filter(Boolean).join(' and ');
+
+    switch (rule.type) {
+      case 'integer':
+        return range ? `an integer ${range}` : 'an integer';
+      case 'number':
+        return range ? `a number ${range}` : 'a number';
+      case 'boolean':
+        return 'true or false';
+      case 'enum':
+        return `one of ${rule.values.join(', ')}`;
+      case 'position':
+        return 'a position {x, y, z} of integers';
+      case 'string':
+        return rule.hint ? `a string like ${rule.hint}` : 'a non-empty string';
+      default:
+        return rule.type;
+    }
+  }
+
+  /**
+   * Read a dotted path
+   * @private
+   */
+  _get(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  /**
+   * Write a dotted path, creating sections as needed
+   * @private
+   */
+  _set(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+    parent[last] = value;
+  }
+}
+
+module.exports = ConfigManager;
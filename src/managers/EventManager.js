@@ -0,0 +1,16 @@
+/**
+ * Event Manager
+ * Central event bus shared by the bot, its modules and the control surfaces
+ */
+
+const { EventEmitter } = require('events');
+
+class EventManager extends EventEmitter {
+  constructor() {
+    super();
+    // Commands, modules and monitoring all subscribe to the same bus
+    this.setMaxListeners(50);
+  }
+}
+
+module.exports = EventManager;
@@ -0,0 +1,134 @@
+/**
+ * Logger Utility
+ * Tagged, levelled console logging shared by the bot and its modules
+ */
+
+const util = require('util');
+const chalk = require('chalk');
+
+const LEVELS = {
+  debug: 0,
+  info: 1,
+  warn: 2,
+  error: 3
+};
+
+class Logger {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Set the minimum level written by every logger
+   * @param {string} level - One of debug, info, warn, error
+   */
+  static setLevel(level) {
+    const normalized = String(level || '').toLowerCase();
+    if (LEVELS[normalized] !== undefined) {
+      Logger.level = normalized;
+    }
+  }
+
+  /**
+   * Keep a tail of everything written to the console, including module
+   * output that bypasses Logger; safe to call more than once
+   * @param {number} size - Number of lines to keep
+   */
+  static captureConsole(size = 200) {
+    Logger.tailSize = size;
+    if (Logger.capturing) return;
+    Logger.capturing = true;
+
+    for (const [method, level] of [['log', 'info'], ['warn', 'warn'], ['error', 'error']]) {
+      const original = console[method];
+      console[method] = (...args) => {
+        original.apply(console, args);
+        Logger._record(level, util.format(...args));
+      };
+    }
+  }
+
+  /**
+   * Get the most recent captured console lines
+   * @param {number} count - Maximum number of lines
+   * @returns {Array} Lines {time, level, text}, oldest first
+   */
+  static getTail(count = Logger.tailSize) {
+    return Logger.tail.slice(-count);
+  }
+
+  /**
+   * Subscribe to captured console lines
+   * @param {Function} listener - Called with each line {time, level, text}
+   * @returns {Function} Unsubscribe function
+   */
+  static onLine(listener) {
+    Logger.listeners.add(listener);
+    return () => Logger.listeners.delete(listener);
+  }
+
+  /**
+   * Store a captured line and pass it to subscribers
+   * @private
+   */
+  static _record(level, text) {
+    const line = { time: Date.now(), level, text: util.stripVTControlCharacters(text) };
+    Logger.tail.push(line);
+    if (Logger.tail.length > Logger.tailSize) Logger.tail.shift();
+
+    for (const listener of Logger.listeners) {
+      try {
+        listener(line);
+      } catch (error) {
+        // A broken subscriber must not break logging
+      }
+    }
+  }
+
+  /**
+   * Check whether a level is currently enabled
+   * @private
+   */
+  _enabled(level) {
+    return LEVELS[level] >= LEVELS[Logger.level];
+  }
+
+  /**
+   * Format a log line with timestamp and tag
+   * @private
+   */
+  _format(message) {
+    const time = new Date().toISOString().slice(11, 19);
+    return `${chalk.gray(time)} [${this.name}] ${message}`;
+  }
+
+  debug(message) {
+    if (this._enabled('debug')) console.log(chalk.gray(this._format(message)));
+  }
+
+  info(message) {
+    if (this._enabled('info')) console.log(this._format(message));
+  }
+
+  success(message) {
+    if (this._enabled('info')) console.log(chalk.green(this._format(message)));
+  }
+
+  warn(message) {
+    if (this._enabled('warn')) console.warn(chalk.yellow(this._format(message)));
+  }
+
+  error(message) {
+    if (this._enabled('error')) console.error(chalk.red(this._format(message)));
+  }
+}
+
+Logger.level = LEVELS[String(process.env.LOG_LEVEL).toLowerCase()] !== undefined
+  ? String(process.env.LOG_LEVEL).toLowerCase()
+  : 'info';
+Logger.capturing = false;
+Logger.tail = [];
+Logger.tailSize = 200;
+Logger.listeners = new Set();
+
+module.exports = Logger;